@@ -16,6 +16,15 @@
  * continue to receive mouse events even if the mouse briefly leaves the mark
  * being dragged, or even the root panel.
  *
+ * <p>Behaviors that start on mousedown can equally be registered on touchstart
+ * or pointerdown events, for use with touch screens and pens:
+ *
+ * <pre>    .event("mousedown", pv.Behavior.drag())
+ *     .event("touchstart", pv.Behavior.drag())</pre>
+ *
+ * The behavior then follows the corresponding move and end events, such as
+ * touchmove and touchend, while ignoring those from other input sources.
+ *
  * <p>Each behavior implementation has specific requirements as to which events
  * it supports, and how it should be used. For example, the drag behavior
  * requires that the data associated with the mark be an object with <tt>x</tt>
@@ -23,6 +32,7 @@
  * position. See an implementing class for details.
  *
  * @see pv.Behavior.drag
+ * @see pv.Behavior.navigate
  * @see pv.Behavior.pan
  * @see pv.Behavior.point
  * @see pv.Behavior.select
@@ -30,3 +40,226 @@
  * @extends function
  */
 pv.Behavior = {};
+
+/**
+ * @private Returns the input source of the specified event: "touch" for touch
+ * events, "pointer" for pointer events, and otherwise "mouse". A behavior
+ * started by an event from one source ignores events from the others, since
+ * browsers may also dispatch compatibility mouse or pointer events for touches.
+ *
+ * @param e a DOM event.
+ * @returns {string} the input source.
+ */
+pv.Behavior.source = function(e) {
+  var m = /^(touch|pointer)/.exec(e.type);
+  return m ? m[1] : "mouse";
+};
+
+/**
+ * @private Registers the specified move and end listeners on the document for
+ * mouse, touch and pointer events alike, such that behaviors may be started by
+ * mousedown, touchstart or pointerdown events.
+ *
+ * @param {function} move the listener for move events.
+ * @param {function} end the listener for up, end and cancel events.
+ */
+pv.Behavior.listen = function(move, end) {
+  var d = window.document;
+  pv.listen(d, "mousemove", move);
+  pv.listen(d, "mouseup", end);
+  pv.listen(d, "touchmove", move);
+  pv.listen(d, "touchend", end);
+  pv.listen(d, "touchcancel", end);
+  pv.listen(d, "pointermove", move);
+  pv.listen(d, "pointerup", end);
+  pv.listen(d, "pointercancel", end);
+};
+
+/**
+ * @private Returns the transform <i>m</i> of a panel of width <i>w</i> and
+ * height <i>h</i>, constrained to the specified bound and scale limits. The
+ * bound is either true, to bound the view to the panel's initial extent, or a
+ * rectangle <tt>{x, y, dx, dy}</tt> in the panel's untransformed coordinates;
+ * the visible area of the panel may not extend beyond the bound, which also
+ * limits how far the panel can be zoomed out. If the scale is out of limits, it
+ * is clamped about the point <i>v</i>, in untransformed coordinates; by
+ * default, the point at the center of the panel.
+ *
+ * @param {pv.Transform} m the transform.
+ * @param {number} w the panel width.
+ * @param {number} h the panel height.
+ * @param bound the bound, if any.
+ * @param {number} [min] the minimum scale.
+ * @param {number} [max] the maximum scale.
+ * @param [v] the fixed point when clamping the scale.
+ * @returns {pv.Transform} the constrained transform.
+ */
+pv.Behavior.constrain = function(m, w, h, bound, min, max, v) {
+  var b = (bound === true) ? {x: 0, y: 0, dx: w, dy: h} : bound, k = m.k;
+  if (b) min = Math.max(min || 0, w / b.dx, h / b.dy);
+  if ((min != null) && (k < min)) k = min;
+  if ((max != null) && (k > max)) k = max;
+  if (!v) v = {x: (w / 2 - m.x) / m.k, y: (h / 2 - m.y) / m.k};
+  m = m.translate(v.x, v.y).scale(k / m.k).translate(-v.x, -v.y);
+  if (b) {
+    m.x = Math.max(w - (b.x + b.dx) * m.k, Math.min(-b.x * m.k, m.x));
+    m.y = Math.max(h - (b.y + b.dy) * m.k, Math.min(-b.y * m.k, m.y));
+  }
+  return m;
+};
+
+/**
+ * @private Returns the scene nodes and index of the specified mark's current
+ * instance, for use outside of event handlers. If the mark is not in context,
+ * its first instance (within the first instance of each enclosing panel) is
+ * used. The root panel must have been rendered.
+ *
+ * @param {pv.Mark} mark the mark.
+ * @returns {object} the scene nodes and index, as <tt>{scene, index}</tt>.
+ */
+pv.Behavior.instance = function(mark) {
+  var scene = mark.scene,
+      index = mark.hasOwnProperty("index") ? mark.index : 0;
+  if (!scene) {
+    var p = pv.Behavior.instance(mark.parent);
+    scene = p.scene[p.index].children[mark.childIndex];
+  }
+  return {scene: scene, index: index};
+};
+
+/**
+ * @private Animates the transform of the specified panel instance from its
+ * current value to <i>m</i>, over the specified duration in milliseconds,
+ * dispatching an event of the specified type (such as "zoom") each time the
+ * panel is rendered. The scale is interpolated geometrically and the point at
+ * the center of the panel linearly, such that the view zooms smoothly.
+ * Starting an animation stops any animation in progress on the same panel.
+ *
+ * @param {array} scene the panel's scene nodes.
+ * @param {number} index the index of the panel instance.
+ * @param {pv.Transform} m the new transform.
+ * @param {number} duration the duration, in milliseconds.
+ * @param {string} type the event type to dispatch.
+ * @param {object} axes the bound scales, for semantic zooming.
+ */
+pv.Behavior.animate = function(scene, index, m, duration, type, axes) {
+  var s = scene[index],
+      m0 = pv.Behavior.transform(s, axes),
+      w = s.width / 2,
+      h = s.height / 2,
+      x0 = (w - m0.x) / m0.k,
+      y0 = (h - m0.y) / m0.k,
+      x1 = (w - m.x) / m.k,
+      y1 = (h - m.y) / m.k,
+      ease = pv.ease("cubic-in-out"),
+      start = Date.now(),
+      timer;
+
+  /** @private Advances the animation, updating the display. */
+  function tick() {
+    var t = duration ? (Date.now() - start) / duration : 1, mt = m;
+    if (t < 1) {
+      var e = ease(t), k = m0.k * Math.pow(m.k / m0.k, e);
+      mt = pv.Transform.identity.translate(
+          w - (x0 + (x1 - x0) * e) * k,
+          h - (y0 + (y1 - y0) * e) * k).scale(k);
+    } else {
+      clearInterval(timer);
+      if (scene.$animation == timer) delete scene.$animation;
+    }
+    scene.mark.context(scene, index, function() {
+        pv.Behavior.update(this, mt, axes);
+      });
+    pv.Mark.dispatch(type, scene, index);
+  }
+
+  if (scene.$animation) {
+    clearInterval(scene.$animation);
+    delete scene.$animation;
+  }
+  if (duration) scene.$animation = timer = setInterval(tick, 24);
+  tick();
+};
+
+/**
+ * @private Returns the transform of the panel instance <i>s</i>. For semantic
+ * panning and zooming, where the behavior rescales the domains of the bound x-
+ * and y-scales in <i>axes</i> rather than transforming the panel, returns the
+ * virtual transform implied by the current domains instead. Untransformed
+ * coordinates are then the positions given by the scales' initial domains; the
+ * y-scale is assumed to position marks using the <tt>bottom</tt> property.
+ *
+ * @param s the scene node of the panel instance.
+ * @param {object} axes the bound scales and their initial domains.
+ * @returns {pv.Transform} the transform.
+ */
+pv.Behavior.transform = function(s, axes) {
+  if (!axes.x && !axes.y) return s.transform;
+  var m = new pv.Transform(), a;
+  if (axes.y) {
+    a = pv.Behavior.axis(axes.y, axes.y0);
+    m.k = a.k;
+    m.y = s.height * (1 - a.k) - a.t;
+  }
+  if (axes.x) {
+    a = pv.Behavior.axis(axes.x, axes.x0);
+    m.k = a.k;
+    m.x = a.t;
+  }
+  return m;
+};
+
+/**
+ * @private Sets the transform of the specified panel, which must be in context,
+ * and renders it. For semantic panning and zooming, the domains of the bound
+ * scales are rescaled instead (see pv.Behavior.transform), and the root panel
+ * is rendered, since marks outside the panel, such as axes, may use the scales.
+ *
+ * @param {pv.Panel} mark the panel.
+ * @param {pv.Transform} m the new transform.
+ * @param {object} axes the bound scales and their initial domains.
+ */
+pv.Behavior.update = function(mark, m, axes) {
+  if (!axes.x && !axes.y) {
+    mark.transform(m).render();
+    return;
+  }
+  var h = mark.scene[mark.index].height;
+  if (axes.x) pv.Behavior.rescale(axes.x, axes.x0, m.k, m.x);
+  if (axes.y) pv.Behavior.rescale(axes.y, axes.y0, m.k, h * (1 - m.k) - m.y);
+  mark.root.render();
+};
+
+/**
+ * @private Returns the affine map <tt>{k, t}</tt> from the positions given by
+ * the scale with its initial domain <i>d</i> to the positions given by the
+ * scale with its current domain. Since panning and zooming only ever apply such
+ * maps, this holds for log, root and date scales as well as linear scales.
+ */
+pv.Behavior.axis = function(scale, d) {
+  var r = scale.range(),
+      p = scale(d[0]),
+      k = (scale(d[d.length - 1]) - p) / (r[r.length - 1] - r[0]);
+  return {k: k, t: p - k * r[0]};
+};
+
+/**
+ * @private Sets the domain of the scale, with initial domain <i>d</i>, such
+ * that the positions it gives are those of the initial domain, scaled by
+ * <i>k</i> and then translated by <i>t</i>. If a position has no value in the
+ * domain, as beyond zero for a root scale, or where a log scale underflows to
+ * zero, the domain is left unchanged; thus, panning and zooming stop short of
+ * the limits of the scale, rather than jumping.
+ */
+pv.Behavior.rescale = function(scale, d, k, t) {
+  var a = pv.Behavior.axis(scale, d),
+      r = scale.range(),
+      e = 1e-6 * Math.abs(r[r.length - 1] - r[0]),
+      v = [];
+  for (var i = 0; i < r.length; i++) {
+    var p = a.t + a.k * (r[i] - t) / k, x = scale.invert(p);
+    if (!(Math.abs(scale(x) - p) <= e)) return; // not invertible
+    v.push(x);
+  }
+  scale.domain.apply(scale, v);
+};
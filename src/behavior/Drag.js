@@ -1,5 +1,6 @@
 /**
- * Returns a new drag behavior to be registered on mousedown events.
+ * Returns a new drag behavior to be registered on mousedown events, or on
+ * touchstart or pointerdown events for touch screens and pens.
  *
  * @class Implements interactive dragging starting with mousedown events.
  * Register this behavior on marks that should be draggable by the user, such as
@@ -10,7 +11,8 @@
  * <p>After the initial mousedown event is triggered, this behavior listens for
  * mousemove and mouseup events on the window. This allows dragging to continue
  * even if the mouse temporarily leaves the mark that is being dragged, or even
- * the root panel.
+ * the root panel. Likewise, after a touchstart or pointerdown event, the
+ * behavior listens for the corresponding move and end events.
  *
  * <p>This behavior requires that the data associated with the mark being
  * dragged have <tt>x</tt> and <tt>y</tt> attributes that correspond to the
@@ -69,12 +71,14 @@ pv.Behavior.drag = function() {
       index, // scene context
       p, // particle being dragged
       v1, // initial mouse-particle offset
-      max;
+      max, // bounds of the particle
+      source; // input source
 
   /** @private */
   function mousedown(d) {
     index = this.index;
     scene = this.scene;
+    source = pv.Behavior.source(pv.event);
     var m = this.mouse();
     v1 = ((p = d).fix = pv.vector(d.x, d.y)).minus(m);
     max = {
@@ -87,7 +91,7 @@ pv.Behavior.drag = function() {
 
   /** @private */
   function mousemove() {
-    if (!scene) return;
+    if (!scene || (pv.Behavior.source(pv.event) != source)) return;
     scene.mark.context(scene, index, function() {
         var m = this.mouse();
         p.x = p.fix.x = Math.max(0, Math.min(v1.x + m.x, max.x));
@@ -99,14 +103,13 @@ pv.Behavior.drag = function() {
 
   /** @private */
   function mouseup() {
-    if (!scene) return;
+    if (!scene || (pv.Behavior.source(pv.event) != source)) return;
     p.fix = null;
     scene.mark.context(scene, index, function() { this.render(); });
     pv.Mark.dispatch("dragend", scene, index);
     scene = null;
   }
 
-  pv.listen(window.document, "mousemove", mousemove);
-  pv.listen(window.document, "mouseup", mouseup);
+  pv.Behavior.listen(mousemove, mouseup);
   return mousedown;
 };
@@ -0,0 +1,65 @@
+/**
+ * Returns a new navigate behavior to be registered on keydown events.
+ *
+ * @class Implements keyboard navigation across the instances of a mark.
+ * Register this behavior on focusable marks (see {@link pv.Mark#tabIndex}) to
+ * allow the user to move the keyboard focus between the instances of the mark
+ * using the arrow keys, such as between the bars of a bar chart:
+ *
+ * <pre>    .tabIndex(0)
+ *     .event("keydown", pv.Behavior.navigate())</pre>
+ *
+ * The right and down arrow keys move the focus to the next instance, while the
+ * left and up arrow keys move the focus to the previous instance; the Home and
+ * End keys move the focus to the first and last instance, respectively.
+ * Instances that are not visible, or that have a null tab index, are skipped.
+ * The focus does not wrap around at either end. The arrow keys are cancelled
+ * when they move the focus, such that the page does not scroll.
+ *
+ * <p>This behavior does not change the display of the focused instance; to give
+ * visual feedback, listen for the focus and blur events. For example, to
+ * highlight the focused bar:
+ *
+ * <pre>    .def("active", -1)
+ *     .event("focus", function() this.active(this.index))
+ *     .event("blur", function() this.active(-1))
+ *     .fillStyle(function() this.active() == this.index ? "red" : "gray")</pre>
+ *
+ * Note that the tab index of every instance may be zero; the browser then stops
+ * at each instance in turn when tabbing. To tab past the mark in a single step,
+ * and rely on the arrow keys instead, give all but the first instance a
+ * negative tab index.
+ *
+ * @extends pv.Behavior
+ * @see pv.Mark#tabIndex
+ */
+pv.Behavior.navigate = function() {
+
+  /** @private Returns true if the specified scene node can be focused. */
+  function focusable(s) {
+    return s.visible && (s.tabIndex != null);
+  }
+
+  /** @private */
+  function keydown() {
+    var scene = this.scene, n = scene.length, j, d;
+    switch (pv.event.key || pv.event.keyCode) {
+      case "ArrowRight": case "ArrowDown": case "Right": case "Down":
+      case 39: case 40: j = this.index; d = 1; break;
+      case "ArrowLeft": case "ArrowUp": case "Left": case "Up":
+      case 37: case 38: j = this.index; d = -1; break;
+      case "Home": case 36: j = -1; d = 1; break;
+      case "End": case 35: j = n; d = -1; break;
+      default: return;
+    }
+    do { j += d; } while ((j >= 0) && (j < n) && !focusable(scene[j]));
+    if ((j < 0) || (j >= n)) return;
+
+    var engine = pv.Scene.engine(scene);
+    if (!engine.focus) return;
+    pv.event.preventDefault();
+    engine.focus(scene, j);
+  }
+
+  return keydown;
+};
@@ -1,5 +1,6 @@
 /**
- * Returns a new pan behavior to be registered on mousedown events.
+ * Returns a new pan behavior to be registered on mousedown events, or on
+ * touchstart or pointerdown events for touch screens and pens.
  *
  * @class Implements interactive panning starting with mousedown events.
  * Register this behavior on panels to allow panning. This behavior can be used
@@ -8,19 +9,28 @@
  * <pre>    .event("mousedown", pv.Behavior.pan())
  *     .event("mousewheel", pv.Behavior.zoom())</pre>
  *
- * The pan behavior currently supports only mouse events; support for keyboard
- * shortcuts to improve accessibility may be added in the future.
+ * The pan behavior supports mouse, touch and pointer events; support for
+ * keyboard shortcuts to improve accessibility may be added in the future. With
+ * touch events, panning follows the centroid of the touch points, such that the
+ * panel can be panned with one or two fingers; registered on touchstart events
+ * in tandem with the zoom behavior, two fingers pan while pinching to zoom:
+ *
+ * <pre>    .event("touchstart", pv.Behavior.pan())
+ *     .event("touchstart.zoom", pv.Behavior.zoom())</pre>
  *
  * <p>After the initial mousedown event is triggered, this behavior listens for
  * mousemove and mouseup events on the window. This allows panning to continue
  * even if the mouse temporarily leaves the panel that is being panned, or even
- * the root panel.
+ * the root panel. Likewise, after a touchstart or pointerdown event, the
+ * behavior listens for the corresponding move and end events.
  *
  * <p>The implementation of this behavior relies on the panel's
  * <tt>transform</tt> property, which specifies a matrix transformation that is
  * applied to child marks. Note that the transform property only affects the
  * panel's children, but not the panel itself; therefore the panel's fill and
- * stroke will not change when the contents are panned.
+ * stroke will not change when the contents are panned. Alternatively, the pan
+ * behavior can change the domains of quantitative scales instead, such that
+ * axes follow the panning; see {@link #x} and {@link #y}.
  *
  * <p>Panels have transparent fill styles by default; this means that panels may
  * not receive the initial mousedown event to start panning. To fix this
@@ -29,9 +39,17 @@
  * despite its transparent fill.
  *
  * <p>The pan behavior has optional support for bounding. If enabled, the user
- * will not be able to pan the panel outside of the initial bounds. This feature
- * is designed to work in conjunction with the zoom behavior; otherwise,
- * bounding the panel effectively disables all panning.
+ * will not be able to pan the panel outside of the initial bounds, or outside
+ * of a custom bounding rectangle; see {@link #bound}. Bounding to the initial
+ * bounds is designed to work in conjunction with the zoom behavior; otherwise,
+ * it effectively disables all panning.
+ *
+ * <p>The panel can also be panned programmatically, with a smooth animation,
+ * using {@link #panTo}. Both interactive and programmatic panning dispatch a
+ * "pan" event to the panel, such that linked views can synchronize their
+ * transforms:
+ *
+ * <pre>    .event("pan", function() other.transform(this.transform()))</pre>
  *
  * @extends pv.Behavior
  * @see pv.Behavior.zoom
@@ -40,44 +58,55 @@
 pv.Behavior.pan = function() {
   var scene, // scene context
       index, // scene context
-      m1, // transformation matrix at the start of panning
-      v1, // mouse location at the start of panning
-      k, // inverse scale
-      bound; // whether to bound to the panel
+      v1, // mouse location at the previous move
+      n, // number of touch points at the previous move
+      source, // input source
+      bound = false, // whether to bound to the panel, or the bounding rectangle
+      duration = 250, // duration of programmatic panning
+      axes = {}; // bound scales, for semantic panning
 
   /** @private */
   function mousedown() {
     index = this.index;
     scene = this.scene;
-    v1 = pv.vector(pv.event.pageX, pv.event.pageY);
-    m1 = this.transform();
-    k = 1 / (m1.k * this.scale);
-    if (bound) {
-      bound = {
-        x: (1 - m1.k) * this.width(),
-        y: (1 - m1.k) * this.height()
-      };
-    }
+    source = pv.Behavior.source(pv.event);
+    v1 = pv.pointer(pv.event);
+    n = pv.pointers(pv.event).length;
   }
 
   /** @private */
   function mousemove() {
-    if (!scene) return;
+    if (!scene || (pv.Behavior.source(pv.event) != source)) return;
+    var v2 = pv.pointer(pv.event), n2 = pv.pointers(pv.event).length;
+
+    /* Adding or removing a touch point moves the centroid; start over. */
+    if (n2 != n) {
+      v1 = v2;
+      n = n2;
+      return;
+    }
+
+    /*
+     * The transform is updated incrementally, rather than from the start of
+     * panning, so as to compose with any concurrent zooming.
+     */
     scene.mark.context(scene, index, function() {
-        var x = (pv.event.pageX - v1.x) * k,
-            y = (pv.event.pageY - v1.y) * k,
-            m = m1.translate(x, y);
+        var m = pv.Behavior.transform(scene[index], axes),
+            k = 1 / (m.k * this.scale);
+        m = m.translate((v2.x - v1.x) * k, (v2.y - v1.y) * k);
         if (bound) {
-          m.x = Math.max(bound.x, Math.min(0, m.x));
-          m.y = Math.max(bound.y, Math.min(0, m.y));
+          m = pv.Behavior.constrain(m, this.width(), this.height(), bound);
         }
-        this.transform(m).render();
+        pv.Behavior.update(this, m, axes);
       });
+    v1 = v2;
     pv.Mark.dispatch("pan", scene, index);
   }
 
   /** @private */
   function mouseup() {
+    if (pv.Behavior.source(pv.event) != source) return;
+    if (pv.event.touches && pv.event.touches.length) return;
     scene = null;
   }
 
@@ -85,7 +114,9 @@ pv.Behavior.pan = function() {
    * Sets or gets the bound parameter. If bounding is enabled, the user will not
    * be able to pan outside the initial panel bounds; this typically applies
    * only when the pan behavior is used in tandem with the zoom behavior.
-   * Bounding is not enabled by default.
+   * Alternatively, the bound may be a rectangle <tt>{x, y, dx, dy}</tt> in the
+   * panel's untransformed coordinates, such as the extent of the data, beyond
+   * which the user will not be able to pan. Bounding is not enabled by default.
    *
    * <p>Note: enabling bounding after panning has already occurred will not
    * immediately reset the transform. Bounding should be enabled before the
@@ -94,17 +125,105 @@ pv.Behavior.pan = function() {
    * @function
    * @returns {pv.Behavior.pan} this, or the current bound parameter.
    * @name pv.Behavior.pan.prototype.bound
-   * @param {boolean} [x] the new bound parameter.
+   * @param {boolean|object} [x] the new bound parameter, or rectangle.
    */
   mousedown.bound = function(x) {
     if (arguments.length) {
-      bound = Boolean(x);
+      bound = (x && (typeof x == "object")) ? x : Boolean(x);
+      return this;
+    }
+    return bound;
+  };
+
+  /**
+   * Sets or gets the duration of programmatic panning, in milliseconds; see
+   * {@link #panTo}. The default duration is 250 milliseconds; a duration of
+   * zero pans immediately. Interactive panning is never animated.
+   *
+   * @function
+   * @returns {pv.Behavior.pan} this, or the current duration.
+   * @name pv.Behavior.pan.prototype.duration
+   * @param {number} [x] the new duration.
+   */
+  mousedown.duration = function(x) {
+    if (arguments.length) {
+      duration = Number(x);
+      return this;
+    }
+    return duration;
+  };
+
+  /**
+   * Pans the specified panel such that the point <i>(x, y)</i>, in the panel's
+   * untransformed coordinates, is at the center of the panel, without changing
+   * the scale. The panel is panned smoothly over the duration (see {@link
+   * #duration}), subject to the bound, dispatching a "pan" event each time the
+   * panel is rendered. For example, to center a chart on a data point:
+   *
+   * <pre>pan.panTo(panel, x(d.date), y(d.value));</pre>
+   *
+   * If the panel has multiple instances, the current instance is panned when
+   * called from an event handler, and otherwise the first instance. The panel
+   * must have been rendered.
+   *
+   * @function
+   * @name pv.Behavior.pan.prototype.panTo
+   * @param {pv.Panel} panel the panel to pan.
+   * @param {number} x the x-coordinate of the new center.
+   * @param {number} y the y-coordinate of the new center.
+   * @returns {pv.Behavior.pan} this.
+   */
+  mousedown.panTo = function(panel, x, y) {
+    var c = pv.Behavior.instance(panel),
+        s = c.scene[c.index],
+        k = pv.Behavior.transform(s, axes).k,
+        m = pv.Transform.identity
+            .translate(s.width / 2 - x * k, s.height / 2 - y * k)
+            .scale(k);
+    if (bound) m = pv.Behavior.constrain(m, s.width, s.height, bound);
+    pv.Behavior.animate(c.scene, c.index, m, duration, "pan", axes);
+    return this;
+  };
+
+  /**
+   * Sets or gets the x-scale, for semantic panning. If a scale is bound, rather
+   * than transforming the panel, panning changes the domain of the scale; see
+   * {@link pv.Behavior.zoom#x} for details. The pan and zoom behaviors should
+   * be bound to the same scales. The default x-scale is null.
+   *
+   * @function
+   * @returns {pv.Behavior.pan} this, or the current x-scale.
+   * @name pv.Behavior.pan.prototype.x
+   * @param {pv.Scale.quantitative} [x] the new x-scale.
+   */
+  mousedown.x = function(x) {
+    if (arguments.length) {
+      axes.x = x;
+      axes.x0 = x && x.domain();
+      return this;
+    }
+    return axes.x;
+  };
+
+  /**
+   * Sets or gets the y-scale, for semantic panning. If a scale is bound, rather
+   * than transforming the panel, panning changes the domain of the scale; see
+   * {@link pv.Behavior.zoom#y} for details. The default y-scale is null.
+   *
+   * @function
+   * @returns {pv.Behavior.pan} this, or the current y-scale.
+   * @name pv.Behavior.pan.prototype.y
+   * @param {pv.Scale.quantitative} [y] the new y-scale.
+   */
+  mousedown.y = function(y) {
+    if (arguments.length) {
+      axes.y = y;
+      axes.y0 = y && y.domain();
       return this;
     }
-    return Boolean(bound);
+    return axes.y;
   };
 
-  pv.listen(window.document, "mousemove", mousemove);
-  pv.listen(window.document, "mouseup", mouseup);
+  pv.Behavior.listen(mousemove, mouseup);
   return mousedown;
 };
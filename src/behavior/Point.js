@@ -25,6 +25,12 @@
  * be applied, specify an appropriate threshold to the constructor, up to
  * <tt>Infinity</tt>.
  *
+ * <p>The closest mark instance is the one whose center is closest to the mouse
+ * cursor. For dots with a custom shape (see {@link pv.Dot#shape}), however,
+ * the distance compared to the radius threshold is measured from the farthest
+ * extent of the shape, since custom shapes need not be centered; thus, such a
+ * dot can be pointed from anywhere within it, even if the threshold is small.
+ *
  * <p>By default, the standard Cartesian distance is computed. However, with
  * some visualizations it is desirable to consider only a single dimension, such
  * as the <i>x</i>-dimension for an independent variable. In this case, the
@@ -76,7 +82,7 @@ pv.Behavior.point = function(r) {
         }
         delete mark.scene;
         delete mark.index;
-      } else if (mark.$handlers.point) {
+      } else if (mark.listeners("point").length) {
         var v = mark.mouse();
         for (var j = 0, m = child.length; j < m; j++) {
           var c = child[j],
@@ -84,7 +90,10 @@ pv.Behavior.point = function(r) {
               dy = v.y - c.top - (c.height || 0) / 2,
               dd = kx * dx * dx + ky * dy * dy;
           if (dd < point.cost) {
-            point.distance = dx * dx + dy * dy;
+            var d = Math.sqrt(dx * dx + dy * dy),
+                e = (mark.type == "dot") && pv.Dot.extent(c);
+            if (e) d = Math.max(0, d - e);
+            point.distance = d * d;
             point.cost = dd;
             point.scene = child;
             point.index = j;
@@ -1,5 +1,6 @@
 /**
- * Returns a new resize behavior to be registered on mousedown events.
+ * Returns a new resize behavior to be registered on mousedown events, or on
+ * touchstart or pointerdown events for touch screens and pens.
  *
  * @class Implements interactive resizing of a selection starting with mousedown
  * events. Register this behavior on selection handles that should be resizeable
@@ -10,7 +11,8 @@
  * <p>After the initial mousedown event is triggered, this behavior listens for
  * mousemove and mouseup events on the window. This allows resizing to continue
  * even if the mouse temporarily leaves the assigned panel, or even the root
- * panel.
+ * panel. Likewise, after a touchstart or pointerdown event, the behavior
+ * listens for the corresponding move and end events.
  *
  * <p>This behavior requires that the data associated with the mark being
  * resized have <tt>x</tt>, <tt>y</tt>, <tt>dx</tt> and <tt>dy</tt> attributes
@@ -60,12 +62,14 @@ pv.Behavior.resize = function(side) {
   var scene, // scene context
       index, // scene context
       r, // region being selected
-      m1; // initial mouse position
+      m1, // initial mouse position
+      source; // input source
 
   /** @private */
   function mousedown(d) {
     index = this.index;
     scene = this.scene;
+    source = pv.Behavior.source(pv.event);
     m1 = this.mouse();
     r = d;
     switch (side) {
@@ -79,7 +83,7 @@ pv.Behavior.resize = function(side) {
 
   /** @private */
   function mousemove() {
-    if (!scene) return;
+    if (!scene || (pv.Behavior.source(pv.event) != source)) return;
     scene.mark.context(scene, index, function() {
         var m2 = this.mouse();
         r.x = Math.max(0, Math.min(m1.x, m2.x));
@@ -93,12 +97,11 @@ pv.Behavior.resize = function(side) {
 
   /** @private */
   function mouseup() {
-    if (!scene) return;
+    if (!scene || (pv.Behavior.source(pv.event) != source)) return;
     pv.Mark.dispatch("resizeend", scene, index);
     scene = null;
   }
 
-  pv.listen(window.document, "mousemove", mousemove);
-  pv.listen(window.document, "mouseup", mouseup);
+  pv.Behavior.listen(mousemove, mouseup);
   return mousedown;
 };
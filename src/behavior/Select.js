@@ -1,5 +1,6 @@
 /**
- * Returns a new select behavior to be registered on mousedown events.
+ * Returns a new select behavior to be registered on mousedown events, or on
+ * touchstart or pointerdown events for touch screens and pens.
  *
  * @class Implements interactive selecting starting with mousedown events.
  * Register this behavior on panels that should be selectable by the user, such
@@ -10,7 +11,8 @@
  * <p>After the initial mousedown event is triggered, this behavior listens for
  * mousemove and mouseup events on the window. This allows selecting to continue
  * even if the mouse temporarily leaves the assigned panel, or even the root
- * panel.
+ * panel. Likewise, after a touchstart or pointerdown event, the behavior
+ * listens for the corresponding move and end events.
  *
  * <p>This behavior requires that the data associated with the mark being
  * dragged have <tt>x</tt>, <tt>y</tt>, <tt>dx</tt> and <tt>dy</tt> attributes
@@ -59,12 +61,14 @@ pv.Behavior.select = function() {
   var scene, // scene context
       index, // scene context
       r, // region being selected
-      m1; // initial mouse position
+      m1, // initial mouse position
+      source; // input source
 
   /** @private */
   function mousedown(d) {
     index = this.index;
     scene = this.scene;
+    source = pv.Behavior.source(pv.event);
     m1 = this.mouse();
     r = d;
     r.x = m1.x;
@@ -75,7 +79,7 @@ pv.Behavior.select = function() {
 
   /** @private */
   function mousemove() {
-    if (!scene) return;
+    if (!scene || (pv.Behavior.source(pv.event) != source)) return;
     scene.mark.context(scene, index, function() {
         var m2 = this.mouse();
         r.x = Math.max(0, Math.min(m1.x, m2.x));
@@ -89,12 +93,11 @@ pv.Behavior.select = function() {
 
   /** @private */
   function mouseup() {
-    if (!scene) return;
+    if (!scene || (pv.Behavior.source(pv.event) != source)) return;
     pv.Mark.dispatch("selectend", scene, index);
     scene = null;
   }
 
-  pv.listen(window.document, "mousemove", mousemove);
-  pv.listen(window.document, "mouseup", mouseup);
+  pv.Behavior.listen(mousemove, mouseup);
   return mousedown;
 };
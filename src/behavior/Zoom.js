@@ -1,5 +1,6 @@
 /**
- * Returns a new zoom behavior to be registered on mousewheel events.
+ * Returns a new zoom behavior to be registered on mousewheel events, or on
+ * touchstart events for pinch-to-zoom.
  *
  * @class Implements interactive zooming using mousewheel events. Register this
  * behavior on panels to allow zooming. This behavior can be used in tandem with
@@ -8,9 +9,18 @@
  * <pre>    .event("mousedown", pv.Behavior.pan())
  *     .event("mousewheel", pv.Behavior.zoom())</pre>
  *
- * The zoom behavior currently supports only mousewheel events; support for
- * keyboard shortcuts and gesture events to improve accessibility may be added
- * in the future.
+ * The zoom behavior also supports pinch gestures on touch screens. When
+ * registered on touchstart events, the behavior starts once two fingers touch
+ * the panel, and then listens for touchmove and touchend events on the window;
+ * the panel is scaled about the centroid of the two touch points by the change
+ * in distance between them. In tandem with the pan behavior, also registered on
+ * touchstart events, the fingers additionally pan the panel:
+ *
+ * <pre>    .event("touchstart", pv.Behavior.pan())
+ *     .event("touchstart.zoom", pv.Behavior.zoom())</pre>
+ *
+ * Support for keyboard shortcuts to improve accessibility may be added in the
+ * future.
  *
  * <p>The implementation of this behavior relies on the panel's
  * <tt>transform</tt> property, which specifies a matrix transformation that is
@@ -20,7 +30,9 @@
  * transforms only supports uniform scaling and translates, which is sufficient
  * for panning and zooming.  Note that this is not a strict geometric
  * transformation, as the <tt>lineWidth</tt> property is scale-aware: strokes
- * are drawn at constant size independent of scale.
+ * are drawn at constant size independent of scale. Alternatively, the zoom
+ * behavior can change the domains of quantitative scales instead, such that
+ * marks keep their size and axes re-tick; see {@link #x} and {@link #y}.
  *
  * <p>Panels have transparent fill styles by default; this means that panels may
  * not receive mousewheel events to zoom. To fix this problem, either given the
@@ -29,8 +41,15 @@
  * fill.
  *
  * <p>The zoom behavior has optional support for bounding. If enabled, the user
- * will not be able to zoom out farther than the initial bounds. This feature is
- * designed to work in conjunction with the pan behavior.
+ * will not be able to zoom out farther than the initial bounds, or than a
+ * custom bounding rectangle; see {@link #bound}. This feature is designed to
+ * work in conjunction with the pan behavior. The scale can also be limited
+ * explicitly, using {@link #minScale} and {@link #maxScale}.
+ *
+ * <p>The panel can also be zoomed programmatically, with a smooth animation,
+ * using {@link #zoomTo} and {@link #zoomToRect}. Both interactive and
+ * programmatic zooming dispatch a "zoom" event to the panel, such that linked
+ * views can synchronize their transforms.
  *
  * @extends pv.Behavior
  * @see pv.Panel#transform
@@ -38,31 +57,75 @@
  * @param {number} speed
  */
 pv.Behavior.zoom = function(speed) {
-  var bound; // whether to bound to the panel
+  var bound = false, // whether to bound to the panel, or the bounding rectangle
+      min, // minimum scale
+      max, // maximum scale
+      duration = 250, // duration of programmatic zooming
+      axes = {}, // bound scales, for semantic zooming
+      scene, // scene context, while pinching
+      index, // scene context, while pinching
+      d1; // distance between the touch points at the previous move
 
   if (!arguments.length) speed = 1 / 48;
 
+  /** @private Scales the panel by <i>k</i> about the mouse location. */
+  function zoom(k) {
+    var v = this.mouse(), m = pv.Behavior.transform(this.instance(), axes);
+    if (axes.x || axes.y) { // mouse location relative to the initial domains
+      v = pv.vector((v.x - m.x) / m.k, (v.y - m.y) / m.k);
+    }
+    m = m.translate(v.x, v.y).scale(k).translate(-v.x, -v.y);
+    m = pv.Behavior.constrain(m, this.width(), this.height(), bound,
+        min, max, v);
+    pv.Behavior.update(this, m, axes);
+  }
+
+  /** @private Returns the distance between the first two touch points. */
+  function distance() {
+    var p = pv.pointers(pv.event);
+    if (p.length != 2) return 0;
+    var dx = p[1].x - p[0].x, dy = p[1].y - p[0].y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
   /** @private */
   function mousewheel() {
-    var v = this.mouse(),
-        k = pv.event.wheel * speed,
-        m = this.transform().translate(v.x, v.y)
-            .scale((k < 0) ? (1e3 / (1e3 - k)) : ((1e3 + k) / 1e3))
-            .translate(-v.x, -v.y);
-    if (bound) {
-      m.k = Math.max(1, m.k);
-      m.x = Math.max((1 - m.k) * this.width(), Math.min(0, m.x));
-      m.y = Math.max((1 - m.k) * this.height(), Math.min(0, m.y));
-    }
-    this.transform(m).render();
+    if (pv.event.touches) return touchstart.call(this);
+    var k = pv.event.wheel * speed;
+    zoom.call(this, (k < 0) ? (1e3 / (1e3 - k)) : ((1e3 + k) / 1e3));
     pv.Mark.dispatch("zoom", this.scene, this.index);
   }
 
+  /** @private */
+  function touchstart() {
+    if (!(d1 = distance())) return;
+    index = this.index;
+    scene = this.scene;
+  }
+
+  /** @private */
+  function touchmove() {
+    if (!scene) return;
+    var d2 = distance();
+    if (!d2) return;
+    scene.mark.context(scene, index, function() { zoom.call(this, d2 / d1); });
+    d1 = d2;
+    pv.Mark.dispatch("zoom", scene, index);
+  }
+
+  /** @private */
+  function touchend() {
+    if (pv.event.touches.length < 2) scene = null;
+  }
+
   /**
    * Sets or gets the bound parameter. If bounding is enabled, the user will not
-   * be able to zoom out farther than the initial panel bounds. Bounding is not
-   * enabled by default. If this behavior is used in tandem with the pan
-   * behavior, both should use the same bound parameter.
+   * be able to zoom out farther than the initial panel bounds. Alternatively,
+   * the bound may be a rectangle <tt>{x, y, dx, dy}</tt> in the panel's
+   * untransformed coordinates, such as the extent of the data, beyond which the
+   * user will not be able to zoom out or pan. Bounding is not enabled by
+   * default. If this behavior is used in tandem with the pan behavior, both
+   * should use the same bound parameter.
    *
    * <p>Note: enabling bounding after zooming has already occurred will not
    * immediately reset the transform. Bounding should be enabled before the zoom
@@ -71,15 +134,186 @@ pv.Behavior.zoom = function(speed) {
    * @function
    * @returns {pv.Behavior.zoom} this, or the current bound parameter.
    * @name pv.Behavior.zoom.prototype.bound
-   * @param {boolean} [x] the new bound parameter.
+   * @param {boolean|object} [x] the new bound parameter, or rectangle.
    */
   mousewheel.bound = function(x) {
     if (arguments.length) {
-      bound = Boolean(x);
+      bound = (x && (typeof x == "object")) ? x : Boolean(x);
+      return this;
+    }
+    return bound;
+  };
+
+  /**
+   * Sets or gets the minimum scale; the user will not be able to zoom out
+   * farther than this scale. For example, a minimum scale of 1 prevents zooming
+   * out beyond the initial view. If bounding is enabled, the bound may further
+   * limit the scale. The default minimum scale is null, meaning no limit.
+   *
+   * @function
+   * @returns {pv.Behavior.zoom} this, or the current minimum scale.
+   * @name pv.Behavior.zoom.prototype.minScale
+   * @param {number} [x] the new minimum scale.
+   */
+  mousewheel.minScale = function(x) {
+    if (arguments.length) {
+      min = (x == null) ? null : Number(x);
+      return this;
+    }
+    return min;
+  };
+
+  /**
+   * Sets or gets the maximum scale; the user will not be able to zoom in
+   * farther than this scale. The default maximum scale is null, meaning no
+   * limit.
+   *
+   * @function
+   * @returns {pv.Behavior.zoom} this, or the current maximum scale.
+   * @name pv.Behavior.zoom.prototype.maxScale
+   * @param {number} [x] the new maximum scale.
+   */
+  mousewheel.maxScale = function(x) {
+    if (arguments.length) {
+      max = (x == null) ? null : Number(x);
+      return this;
+    }
+    return max;
+  };
+
+  /**
+   * Sets or gets the duration of programmatic zooming, in milliseconds; see
+   * {@link #zoomTo}. The default duration is 250 milliseconds; a duration of
+   * zero zooms immediately. Interactive zooming is never animated.
+   *
+   * @function
+   * @returns {pv.Behavior.zoom} this, or the current duration.
+   * @name pv.Behavior.zoom.prototype.duration
+   * @param {number} [x] the new duration.
+   */
+  mousewheel.duration = function(x) {
+    if (arguments.length) {
+      duration = Number(x);
+      return this;
+    }
+    return duration;
+  };
+
+  /**
+   * Zooms the specified panel to the scale <i>k</i>, centered on the point
+   * <i>(x, y)</i> in the panel's untransformed coordinates; if the point is not
+   * specified, the current center of the panel is retained. The panel is zoomed
+   * smoothly over the duration (see {@link #duration}), subject to the bound
+   * and scale limits, dispatching a "zoom" event each time the panel is
+   * rendered. For example, to reset the view:
+   *
+   * <pre>zoom.zoomTo(panel, 1, panel.width() / 2, panel.height() / 2);</pre>
+   *
+   * If the panel has multiple instances, the current instance is zoomed when
+   * called from an event handler, and otherwise the first instance. The panel
+   * must have been rendered.
+   *
+   * @function
+   * @name pv.Behavior.zoom.prototype.zoomTo
+   * @param {pv.Panel} panel the panel to zoom.
+   * @param {number} k the new scale.
+   * @param {number} [x] the x-coordinate of the new center.
+   * @param {number} [y] the y-coordinate of the new center.
+   * @returns {pv.Behavior.zoom} this.
+   */
+  mousewheel.zoomTo = function(panel, k, x, y) {
+    var c = pv.Behavior.instance(panel),
+        s = c.scene[c.index],
+        w = s.width / 2,
+        h = s.height / 2,
+        m = pv.Behavior.transform(s, axes);
+    if (x == null) x = (w - m.x) / m.k;
+    if (y == null) y = (h - m.y) / m.k;
+    m = pv.Transform.identity.translate(w - x * k, h - y * k).scale(k);
+    m = pv.Behavior.constrain(m, s.width, s.height, bound, min, max);
+    pv.Behavior.animate(c.scene, c.index, m, duration, "zoom", axes);
+    return this;
+  };
+
+  /**
+   * Zooms the specified panel such that the rectangle <tt>{x, y, dx, dy}</tt>,
+   * in the panel's untransformed coordinates, fills the panel, as with {@link
+   * #zoomTo}. The rectangle is centered in the panel, preserving its aspect
+   * ratio. An empty rectangle, such as the selection of a mere click, is
+   * ignored. For example, in tandem with the select behavior, to zoom to the
+   * selected region:
+   *
+   * <pre>.event("selectend", function(d) zoom.zoomToRect(this, d))</pre>
+   *
+   * @function
+   * @name pv.Behavior.zoom.prototype.zoomToRect
+   * @param {pv.Panel} panel the panel to zoom.
+   * @param {object} r the rectangle to zoom to.
+   * @returns {pv.Behavior.zoom} this.
+   */
+  mousewheel.zoomToRect = function(panel, r) {
+    if (!(r.dx > 0) || !(r.dy > 0)) return this;
+    var s = pv.Behavior.instance(panel), k;
+    s = s.scene[s.index];
+    k = Math.min(s.width / r.dx, s.height / r.dy);
+    return this.zoomTo(panel, k, r.x + r.dx / 2, r.y + r.dy / 2);
+  };
+
+  /**
+   * Sets or gets the x-scale, for semantic zooming. If a scale is bound, rather
+   * than transforming the panel, zooming changes the domain of the scale, and
+   * then renders the root panel; marks positioned using the scale move apart
+   * or together, but keep their size, and axes re-tick using the new domain
+   * (see {@link pv.Scale.quantitative#ticks}). Bind only an x-scale to zoom
+   * horizontally, only a y-scale to zoom vertically, or both:
+   *
+   * <pre>    .event("mousedown", pv.Behavior.pan().x(x))
+   *     .event("mousewheel", pv.Behavior.zoom().x(x))</pre>
+   *
+   * Linear, log, root and date scales are supported; the panel's transform
+   * should be left as the identity. The domain of the scale when it is bound is
+   * the initial domain, corresponding to a scale of 1; the bound, scale limits
+   * and the coordinates passed to {@link #zoomTo} refer to the positions given
+   * by the scale with its initial domain. To reset the initial domain, say
+   * after changing the domain to fit new data, bind the scale again. The y-
+   * scale is assumed to position marks using the <tt>bottom</tt> property, as
+   * is conventional. The default x-scale is null.
+   *
+   * @function
+   * @returns {pv.Behavior.zoom} this, or the current x-scale.
+   * @name pv.Behavior.zoom.prototype.x
+   * @param {pv.Scale.quantitative} [x] the new x-scale.
+   */
+  mousewheel.x = function(x) {
+    if (arguments.length) {
+      axes.x = x;
+      axes.x0 = x && x.domain();
+      return this;
+    }
+    return axes.x;
+  };
+
+  /**
+   * Sets or gets the y-scale, for semantic zooming; see {@link #x}. The y-scale
+   * is assumed to position marks using the <tt>bottom</tt> property. The
+   * default y-scale is null.
+   *
+   * @function
+   * @returns {pv.Behavior.zoom} this, or the current y-scale.
+   * @name pv.Behavior.zoom.prototype.y
+   * @param {pv.Scale.quantitative} [y] the new y-scale.
+   */
+  mousewheel.y = function(y) {
+    if (arguments.length) {
+      axes.y = y;
+      axes.y0 = y && y.domain();
       return this;
     }
-    return Boolean(bound);
+    return axes.y;
   };
 
+  pv.listen(window.document, "touchmove", touchmove);
+  pv.listen(window.document, "touchend", touchend);
+  pv.listen(window.document, "touchcancel", touchend);
   return mousewheel;
 };
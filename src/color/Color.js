@@ -148,6 +148,25 @@ pv.Color.prototype.darker = function(k) {
   return this.rgb().darker(k);
 };
 
+/**
+ * @private Returns the id of the paint server (such as a gradient or pattern)
+ * of the specified type with the specified definition key. Ids are allocated
+ * from a counter and registered by the full key, such that equivalent
+ * definitions share the same id, while distinct definitions never do.
+ *
+ * @param {string} type the paint server type, such as "linear".
+ * @param {string} key a string that uniquely identifies the definition.
+ * @returns {string} the id.
+ */
+pv.Color.id = function(type, key) {
+  var ids = pv.Color.$ids, k = type + ":" + key;
+  return ids.hasOwnProperty(k) ? ids[k]
+      : (ids[k] = "pv-" + type + "-" + pv.id().toString(36));
+};
+
+/** @private The registered paint server ids, by type and definition key. */
+pv.Color.$ids = {};
+
 /**
  * Constructs a new RGB color with the specified channel values.
  *
@@ -0,0 +1,121 @@
+/**
+ * Returns a new, empty filter. Effects are then added using the chainable
+ * methods {@link pv.Filter#shadow}, {@link pv.Filter#blur}, {@link
+ * pv.Filter#glow} and {@link pv.Filter#desaturate}. For example, to give bars
+ * a drop shadow:
+ *
+ * <pre>.filter(pv.filter().shadow(2, 2, 3))</pre>
+ *
+ * @returns {pv.Filter} a new filter.
+ * @see pv.Mark#filter
+ */
+pv.filter = function() {
+  return new pv.Filter();
+};
+
+/**
+ * Constructs a new, empty filter. This constructor should not be invoked
+ * directly; use {@link pv.filter} instead.
+ *
+ * @class Represents a graphical effect, such as a drop shadow, applied to a
+ * mark when rendering; see {@link pv.Mark#filter}. A filter is an ordered list
+ * of effects, each applied to the result of the previous; for example, a
+ * filter that blurs and then adds a shadow casts a blurred shadow.
+ *
+ * <p>The SVG renderer compiles filters into shared <tt>filter</tt>
+ * definitions; filters with the same effects share the same definition. The
+ * canvas renderer approximates filters using the equivalent CSS filter
+ * functions, where supported by the browser, while the VML renderer ignores
+ * filters.
+ */
+pv.Filter = function() {
+  /**
+   * The effects, in order. Each effect is an object with a <tt>type</tt>,
+   * such as "shadow", and the effect's parameters.
+   *
+   * @type object[]
+   */
+  this.effects = [];
+  this.id = null;
+};
+
+/** @private Adds the specified effect, updating the id. */
+pv.Filter.prototype.effect = function(e) {
+  this.effects.push(e);
+  this.$key = this.effects.map(function(e) {
+      var values = [];
+      for (var name in e) {
+        var v = e[name];
+        values.push(v && v.color ? v.color + "/" + v.opacity : v);
+      }
+      return values.join(",");
+    }).join(";");
+  this.id = pv.Color.id("filter", this.$key);
+  return this;
+};
+
+/**
+ * Adds a drop shadow, offset by <i>dx</i> and <i>dy</i> and blurred by the
+ * standard deviation <i>blur</i>, in pixels. The shadow color defaults to
+ * translucent black.
+ *
+ * @param {number} dx the horizontal offset, in pixels.
+ * @param {number} dy the vertical offset, in pixels.
+ * @param {number} [blur] the blur standard deviation, in pixels; defaults to 2.
+ * @param {string} [color] the shadow color; may be a <tt>pv.Color</tt>.
+ * @returns {pv.Filter} this.
+ */
+pv.Filter.prototype.shadow = function(dx, dy, blur, color) {
+  return this.effect({
+      type: "shadow",
+      dx: dx || 0,
+      dy: dy || 0,
+      blur: (blur == null) ? 2 : blur,
+      color: pv.color(color || "rgba(0, 0, 0, .5)")
+    });
+};
+
+/**
+ * Adds a Gaussian blur with the specified standard deviation, in pixels.
+ *
+ * @param {number} r the standard deviation, in pixels.
+ * @returns {pv.Filter} this.
+ */
+pv.Filter.prototype.blur = function(r) {
+  return this.effect({type: "blur", blur: r});
+};
+
+/**
+ * Adds a glow, a colored halo around the mark, blurred by the specified
+ * standard deviation. This is equivalent to an unoffset shadow, and is useful
+ * to highlight a selected or focused mark.
+ *
+ * @param {number} r the blur standard deviation, in pixels.
+ * @param {string} [color] the glow color; may be a <tt>pv.Color</tt>; defaults
+ * to orange.
+ * @returns {pv.Filter} this.
+ */
+pv.Filter.prototype.glow = function(r, color) {
+  return this.effect({
+      type: "shadow",
+      dx: 0,
+      dy: 0,
+      blur: r,
+      color: pv.color(color || "orange")
+    });
+};
+
+/**
+ * Removes some or all of the color saturation; an <i>amount</i> of 1, the
+ * default, renders the mark in grayscale, while 0 has no effect. This is
+ * useful to de-emphasize context marks.
+ *
+ * @param {number} [amount] the amount to desaturate, in [0, 1].
+ * @returns {pv.Filter} this.
+ */
+pv.Filter.prototype.desaturate = function(amount) {
+  return this.effect({
+      type: "desaturate",
+      amount: (amount == null) ? 1 : amount
+    });
+};
@@ -0,0 +1,240 @@
+/**
+ * Returns a new linear gradient from the start point <i>x1</i>, <i>y1</i> to
+ * the end point <i>x2</i>, <i>y2</i>. The points are specified as fractions of
+ * the bounding box of the painted mark instance, such that (0, 0) is the
+ * top-left corner and (1, 1) is the bottom-right corner; by default, the
+ * gradient runs from top to bottom, and each omitted coordinate takes its
+ * default value. Color stops are then added using {@link
+ * pv.Color.Gradient#stop}. For example, to fill bars with a gradient from
+ * steelblue to white:
+ *
+ * <pre>.fillStyle(pv.linearGradient(0, 0, 0, 1)
+ *     .stop(0, "steelblue")
+ *     .stop(1, "white"))</pre>
+ *
+ * @param {number} [x1] the x-coordinate of the start point; defaults to 0.
+ * @param {number} [y1] the y-coordinate of the start point; defaults to 0.
+ * @param {number} [x2] the x-coordinate of the end point; defaults to 0.
+ * @param {number} [y2] the y-coordinate of the end point; defaults to 1.
+ * @returns {pv.Color.Linear} a new linear gradient.
+ */
+pv.linearGradient = function(x1, y1, x2, y2) {
+  return new pv.Color.Linear(
+      (x1 == null) ? 0 : x1,
+      (y1 == null) ? 0 : y1,
+      (x2 == null) ? 0 : x2,
+      (y2 == null) ? 1 : y2);
+};
+
+/**
+ * Returns a new radial gradient, centered at <i>cx</i>, <i>cy</i> with radius
+ * <i>r</i>, and with the optional focal point <i>fx</i>, <i>fy</i>. As with
+ * {@link pv.linearGradient}, coordinates and the radius are specified as
+ * fractions of the bounding box of the painted mark instance; by default, the
+ * gradient is centered in the bounding box and extends to its edges, and each
+ * omitted argument takes its default value. Color stops are then added using
+ * {@link pv.Color.Gradient#stop}.
+ *
+ * @param {number} [cx] the x-coordinate of the center; defaults to .5.
+ * @param {number} [cy] the y-coordinate of the center; defaults to .5.
+ * @param {number} [r] the radius; defaults to .5.
+ * @param {number} [fx] the x-coordinate of the focal point; defaults to cx.
+ * @param {number} [fy] the y-coordinate of the focal point; defaults to cy.
+ * @returns {pv.Color.Radial} a new radial gradient.
+ */
+pv.radialGradient = function(cx, cy, r, fx, fy) {
+  if (cx == null) cx = .5;
+  if (cy == null) cy = .5;
+  return new pv.Color.Radial(cx, cy, (r == null) ? .5 : r,
+      (fx == null) ? cx : fx,
+      (fy == null) ? cy : fy);
+};
+
+/**
+ * Constructs a new gradient with no color stops. This constructor should not
+ * be invoked directly; use {@link pv.linearGradient} or {@link
+ * pv.radialGradient} instead.
+ *
+ * @class Represents an abstract gradient, which may be used wherever a color is
+ * allowed for the <tt>fillStyle</tt> or <tt>strokeStyle</tt> properties. A
+ * gradient blends between an ordered list of color stops; the stop colors may
+ * be translucent. Gradients are defined relative to the bounding box of each
+ * mark instance, so the same gradient can be used to paint many instances.
+ *
+ * <p>The <tt>color</tt> attribute of a gradient is an SVG paint reference, such
+ * as "url(#pv-linear-1a)"; gradients with the same definition share the
+ * same reference. The SVG renderer emits a corresponding definition in the root
+ * <tt>svg</tt> element as needed. The canvas renderer paints a native
+ * gradient, while the VML renderer falls back to the color of the first stop.
+ * Gradients are not interpolated by transitions (see {@link pv.Transition});
+ * instead, they change halfway through.
+ *
+ * @extends pv.Color
+ */
+pv.Color.Gradient = function() {
+  pv.Color.call(this, "none", 0);
+
+  /**
+   * The color stops, sorted by offset. Each stop is an object with an
+   * <tt>offset</tt> in [0, 1] and a <tt>color</tt> (a {@link pv.Color}).
+   *
+   * @type object[]
+   */
+  this.stops = [];
+};
+pv.Color.Gradient.prototype = pv.extend(pv.Color);
+
+/**
+ * Adds a color stop at the specified <i>offset</i>, a number in [0, 1] along
+ * the gradient vector (or radius). Stops may be added in any order.
+ *
+ * @param {number} offset the offset of the stop, in [0, 1].
+ * @param {string} color the stop color; may be a <tt>pv.Color</tt>.
+ * @returns {pv.Color.Gradient} this.
+ */
+pv.Color.Gradient.prototype.stop = function(offset, color) {
+  var stops = this.stops, i = stops.length;
+  offset = Math.max(0, Math.min(1, offset));
+  while (i && (stops[i - 1].offset > offset)) i--;
+  stops.splice(i, 0, {offset: offset, color: pv.color(color)});
+  this.update();
+  return this;
+};
+
+/**
+ * @private Updates the <tt>id</tt>, <tt>color</tt> and <tt>opacity</tt>
+ * attributes to reflect the current stops. The id is registered by the
+ * definition, such that equivalent gradients share the same id. A gradient is
+ * visible if any of its stops is.
+ */
+pv.Color.Gradient.prototype.update = function() {
+  var opacity = 0;
+  for (var i = 0; i < this.stops.length; i++) {
+    opacity = Math.max(opacity, this.stops[i].color.opacity);
+  }
+  this.$key = this.key();
+  this.id = pv.Color.id(this.type, this.$key);
+  this.color = opacity ? "url(#" + this.id + ")" : "none";
+  this.opacity = opacity && 1;
+};
+
+/** @private Returns a string that uniquely identifies this definition. */
+pv.Color.Gradient.prototype.key = function() {
+  return this.type + "(" + this.coordinates().join(",") + ")"
+      + this.stops.map(function(s) {
+          return s.offset + ":" + s.color.color + "/" + s.color.opacity;
+        }).join(",");
+};
+
+/**
+ * Returns this gradient. Gradients cannot be converted to a single RGB color;
+ * thus, passing a gradient to {@link pv.color} returns the gradient as-is.
+ *
+ * @returns {pv.Color.Gradient} this.
+ */
+pv.Color.Gradient.prototype.rgb = function() {
+  return this;
+};
+
+/**
+ * Returns a new gradient that is a brighter version of this gradient, such
+ * that each stop color is brighter.
+ *
+ * @param [k] {number} an optional scale factor; defaults to 1.
+ * @returns {pv.Color.Gradient} a brighter gradient.
+ */
+pv.Color.Gradient.prototype.brighter = function(k) {
+  k = arguments.length ? k : 1;
+  return this.map(function(c) { return c.brighter(k); });
+};
+
+/**
+ * Returns a new gradient that is a darker version of this gradient, such that
+ * each stop color is darker.
+ *
+ * @param [k] {number} an optional scale factor; defaults to 1.
+ * @returns {pv.Color.Gradient} a darker gradient.
+ */
+pv.Color.Gradient.prototype.darker = function(k) {
+  k = arguments.length ? k : 1;
+  return this.map(function(c) { return c.darker(k); });
+};
+
+/**
+ * @private Returns a copy of this gradient with the same geometry, where each
+ * stop color is transformed by the specified function.
+ */
+pv.Color.Gradient.prototype.map = function(f) {
+  var c = this.coordinates(),
+      g = new this.constructor(c[0], c[1], c[2], c[3], c[4]);
+  for (var i = 0; i < this.stops.length; i++) {
+    g.stop(this.stops[i].offset, f(this.stops[i].color));
+  }
+  return g;
+};
+
+/**
+ * Constructs a new linear gradient. This constructor should not be invoked
+ * directly; use {@link pv.linearGradient} instead.
+ *
+ * @class Represents a linear gradient, from the start point <tt>x1</tt>,
+ * <tt>y1</tt> to the end point <tt>x2</tt>, <tt>y2</tt>, in fractions of the
+ * bounding box.
+ *
+ * @param {number} x1 the x-coordinate of the start point.
+ * @param {number} y1 the y-coordinate of the start point.
+ * @param {number} x2 the x-coordinate of the end point.
+ * @param {number} y2 the y-coordinate of the end point.
+ * @extends pv.Color.Gradient
+ */
+pv.Color.Linear = function(x1, y1, x2, y2) {
+  pv.Color.Gradient.call(this);
+  this.x1 = x1;
+  this.y1 = y1;
+  this.x2 = x2;
+  this.y2 = y2;
+};
+pv.Color.Linear.prototype = pv.extend(pv.Color.Gradient);
+pv.Color.Linear.prototype.constructor = pv.Color.Linear;
+
+/** The gradient type, "linear". */
+pv.Color.Linear.prototype.type = "linear";
+
+/** @private Returns the constructor arguments of this gradient. */
+pv.Color.Linear.prototype.coordinates = function() {
+  return [this.x1, this.y1, this.x2, this.y2];
+};
+
+/**
+ * Constructs a new radial gradient. This constructor should not be invoked
+ * directly; use {@link pv.radialGradient} instead.
+ *
+ * @class Represents a radial gradient, centered at <tt>cx</tt>, <tt>cy</tt>
+ * with radius <tt>r</tt> and the focal point <tt>fx</tt>, <tt>fy</tt>, in
+ * fractions of the bounding box.
+ *
+ * @param {number} cx the x-coordinate of the center.
+ * @param {number} cy the y-coordinate of the center.
+ * @param {number} r the radius.
+ * @param {number} fx the x-coordinate of the focal point.
+ * @param {number} fy the y-coordinate of the focal point.
+ * @extends pv.Color.Gradient
+ */
+pv.Color.Radial = function(cx, cy, r, fx, fy) {
+  pv.Color.Gradient.call(this);
+  this.cx = cx;
+  this.cy = cy;
+  this.r = r;
+  this.fx = fx;
+  this.fy = fy;
+};
+pv.Color.Radial.prototype = pv.extend(pv.Color.Gradient);
+pv.Color.Radial.prototype.constructor = pv.Color.Radial;
+
+/** The gradient type, "radial". */
+pv.Color.Radial.prototype.type = "radial";
+
+/** @private Returns the constructor arguments of this gradient. */
+pv.Color.Radial.prototype.coordinates = function() {
+  return [this.cx, this.cy, this.r, this.fx, this.fy];
+};
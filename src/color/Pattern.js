@@ -0,0 +1,217 @@
+/**
+ * Returns a new pattern with the specified hatch or tile. The hatch is the name
+ * of a built-in pattern; the following hatches are supported:<ul>
+ *
+ * <li>diagonal - diagonal lines, from bottom-left to top-right.
+ * <li>cross - diagonal lines in both directions.
+ * <li>horizontal - horizontal lines.
+ * <li>vertical - vertical lines.
+ * <li>dots - a grid of dots.
+ *
+ * </ul>Alternatively, a root {@link pv.Panel} may be specified as the tile, in
+ * which case the panel's contents are repeated; the size of the tile is the
+ * size of the panel, including margins. For example, to fill bars with diagonal
+ * lines:
+ *
+ * <pre>.fillStyle(pv.pattern("diagonal")
+ *     .strokeStyle("steelblue")
+ *     .spacing(6))</pre>
+ *
+ * Patterns are useful to distinguish categories without relying on color
+ * alone, as for viewers with color vision deficiencies, or in grayscale print.
+ *
+ * @param {string} hatch the hatch name, such as "diagonal", or a tile panel.
+ * @returns {pv.Pattern} a new pattern.
+ */
+pv.pattern = function(hatch) {
+  return new pv.Pattern(hatch);
+};
+
+/**
+ * Constructs a new pattern with the specified hatch or tile. This constructor
+ * should not be invoked directly; use {@link pv.pattern} instead.
+ *
+ * @class Represents a pattern, which may be used wherever a color is allowed
+ * for the <tt>fillStyle</tt> or <tt>strokeStyle</tt> properties. A pattern
+ * repeats a square tile of the given {@link #spacing}, containing a built-in
+ * hatch drawn with the given {@link #strokeStyle} and {@link #lineWidth} over
+ * the given background {@link #fillStyle}; or, it repeats the contents of a
+ * panel. Unlike gradients, patterns are defined in the coordinate space of the
+ * enclosing panel, such that adjacent marks line up seamlessly.
+ *
+ * <p>As with {@link pv.Color.Gradient}, the <tt>color</tt> attribute of a
+ * pattern is an SVG paint reference, and the SVG renderer emits a corresponding
+ * <tt>pattern</tt> definition as needed. The canvas renderer paints a native
+ * pattern, while the VML renderer falls back to the background color, or to
+ * the hatch color if the background is transparent.
+ *
+ * <p>A tile panel is rendered when the pattern is first used by a renderer;
+ * the renderer sets the panel's <tt>canvas</tt> property. Changes to the tile
+ * panel after that are not reflected by the pattern.
+ *
+ * @extends pv.Color
+ * @param {string} hatch the hatch name, such as "diagonal", or a tile panel.
+ * @see pv.pattern
+ */
+pv.Pattern = function(hatch) {
+  pv.Color.call(this, "none", 0);
+  if (hatch instanceof pv.Panel) {
+    /**
+     * The tile panel, if this pattern repeats the contents of a panel.
+     *
+     * @type pv.Panel
+     */
+    this.tile = hatch;
+    this.$id = hatch.$tileId || (hatch.$tileId = pv.id()); // see update
+  } else {
+    /**
+     * The hatch name, such as "diagonal", if this pattern is a built-in hatch.
+     *
+     * @type string
+     */
+    this.hatch = hatch;
+  }
+  this.$strokeStyle = pv.Color.names.black;
+  this.$fillStyle = pv.Color.transparent;
+  this.$spacing = 8;
+  this.$lineWidth = 1;
+  this.update();
+};
+pv.Pattern.prototype = pv.extend(pv.Color);
+
+/** The paint server type, "pattern". */
+pv.Pattern.prototype.type = "pattern";
+
+/**
+ * @private Updates the <tt>id</tt>, <tt>color</tt> and <tt>opacity</tt>
+ * attributes to reflect the current settings. A pattern is visible if its
+ * hatch or background is visible, or if it has a tile. As with hatches, the id
+ * is derived from the content, such that equivalent patterns share the same
+ * definition: a tile pattern is identified by its tile panel.
+ */
+pv.Pattern.prototype.update = function() {
+  var opacity = (this.tile || this.$strokeStyle.opacity
+      || this.$fillStyle.opacity) ? 1 : 0;
+  this.$key = this.tile ? "tile" + this.$id
+      : [this.hatch, this.$strokeStyle.color, this.$strokeStyle.opacity,
+         this.$fillStyle.color, this.$fillStyle.opacity,
+         this.$spacing, this.$lineWidth].join(",");
+  this.id = pv.Color.id(this.type, this.$key);
+  this.color = opacity ? "url(#" + this.id + ")" : "none";
+  this.opacity = opacity;
+};
+
+/**
+ * Sets or gets the color of the hatch; for dots, this is the fill color of the
+ * dots, while for lines it is the stroke color. The default is black. Ignored
+ * for tile patterns.
+ *
+ * @param {string} x the hatch color; may be a <tt>pv.Color</tt>.
+ * @returns {pv.Pattern} this, or the current hatch color.
+ */
+pv.Pattern.prototype.strokeStyle = function(x) {
+  if (arguments.length) {
+    this.$strokeStyle = pv.color(x);
+    this.update();
+    return this;
+  }
+  return this.$strokeStyle;
+};
+
+/**
+ * Sets or gets the background color. The default is transparent, such that
+ * only the hatch is painted. Ignored for tile patterns.
+ *
+ * @param {string} x the background color; may be a <tt>pv.Color</tt>.
+ * @returns {pv.Pattern} this, or the current background color.
+ */
+pv.Pattern.prototype.fillStyle = function(x) {
+  if (arguments.length) {
+    this.$fillStyle = pv.color(x);
+    this.update();
+    return this;
+  }
+  return this.$fillStyle;
+};
+
+/**
+ * Sets or gets the spacing of the hatch, in pixels; this is the size of the
+ * square tile, and thus the distance between adjacent lines or dots. The
+ * default is 8. Ignored for tile patterns.
+ *
+ * @param {number} x the spacing, in pixels.
+ * @returns {pv.Pattern} this, or the current spacing.
+ */
+pv.Pattern.prototype.spacing = function(x) {
+  if (arguments.length) {
+    this.$spacing = Number(x);
+    this.update();
+    return this;
+  }
+  return this.$spacing;
+};
+
+/**
+ * Sets or gets the width of the hatch lines, in pixels; for dots, this is the
+ * radius of the dots. The default is 1. Ignored for tile patterns.
+ *
+ * @param {number} x the line width, in pixels.
+ * @returns {pv.Pattern} this, or the current line width.
+ */
+pv.Pattern.prototype.lineWidth = function(x) {
+  if (arguments.length) {
+    this.$lineWidth = Number(x);
+    this.update();
+    return this;
+  }
+  return this.$lineWidth;
+};
+
+/**
+ * Returns this pattern. Patterns cannot be converted to a single RGB color;
+ * thus, passing a pattern to {@link pv.color} returns the pattern as-is.
+ *
+ * @returns {pv.Pattern} this.
+ */
+pv.Pattern.prototype.rgb = function() {
+  return this;
+};
+
+/**
+ * Returns a new pattern that is a brighter version of this pattern, such that
+ * the hatch and background colors are brighter. Tile patterns are returned
+ * as-is.
+ *
+ * @param [k] {number} an optional scale factor; defaults to 1.
+ * @returns {pv.Pattern} a brighter pattern.
+ */
+pv.Pattern.prototype.brighter = function(k) {
+  k = arguments.length ? k : 1;
+  return this.map(function(c) { return c.brighter(k); });
+};
+
+/**
+ * Returns a new pattern that is a darker version of this pattern, such that
+ * the hatch and background colors are darker. Tile patterns are returned
+ * as-is.
+ *
+ * @param [k] {number} an optional scale factor; defaults to 1.
+ * @returns {pv.Pattern} a darker pattern.
+ */
+pv.Pattern.prototype.darker = function(k) {
+  k = arguments.length ? k : 1;
+  return this.map(function(c) { return c.darker(k); });
+};
+
+/**
+ * @private Returns a copy of this pattern with the same hatch, where the hatch
+ * and background colors are transformed by the specified function.
+ */
+pv.Pattern.prototype.map = function(f) {
+  if (this.tile) return this;
+  return pv.pattern(this.hatch)
+      .strokeStyle(f(this.$strokeStyle))
+      .fillStyle(this.$fillStyle.opacity ? f(this.$fillStyle) : this.$fillStyle)
+      .spacing(this.$spacing)
+      .lineWidth(this.$lineWidth);
+};
@@ -340,6 +340,44 @@ pv.Dom.Node.prototype.nodes = function() {
   return array;
 };
 
+/**
+ * Returns the shortest path through the hierarchy from this node to the
+ * specified node: the ancestors of this node up to the least common ancestor,
+ * followed by the descendants of the least common ancestor down to the
+ * specified node. Both end nodes are included. For example, the path between
+ * two leaf nodes of a {@link pv.Layout.Cluster} can be used as the data of a
+ * line with interpolate("bundle") for hierarchical edge bundling.
+ *
+ * <p>If the two nodes are not in the same hierarchy, the path goes through the
+ * roots of both hierarchies.
+ *
+ * @param {pv.Dom.Node} n the end node.
+ * @returns {pv.Dom.Node[]} the nodes along the path.
+ */
+pv.Dom.Node.prototype.path = function(n) {
+  var up = [], down = [], a = this, b = n;
+
+  /** @private Returns the depth of the specified node. */
+  function depth(n) {
+    var d = 0;
+    while (n = n.parentNode) d++;
+    return d;
+  }
+
+  var da = depth(a), db = depth(b);
+  for (; da > db; da--, a = a.parentNode) up.push(a);
+  for (; db > da; db--, b = b.parentNode) down.push(b);
+  while (a != b) {
+    up.push(a);
+    down.push(b);
+    a = a.parentNode;
+    b = b.parentNode;
+    if (!a) break; // different hierarchies
+  }
+  if (a) up.push(a);
+  return up.concat(down.reverse());
+};
+
 /**
  * Toggles the child nodes of this node. If this node is not yet toggled, this
  * method removes all child nodes and appends them to a new <tt>toggled</tt>
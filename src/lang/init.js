@@ -1,10 +1,11 @@
 /*
  * Parses the Protovis specifications on load, allowing the use of JavaScript
  * 1.8 function expressions on browsers that only support JavaScript 1.6.
+ * Outside of a browser (when there is no global window), this does nothing.
  *
  * @see pv.parse
  */
-pv.listen(window, "load", function() {
+if (typeof window != "undefined") pv.listen(window, "load", function() {
    /*
     * Note: in Firefox any variables declared here are visible to the eval'd
     * script below. Even worse, any global variables declared by the script
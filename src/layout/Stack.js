@@ -80,7 +80,8 @@ pv.Layout.Stack = function() {
   pv.Layout.call(this);
   var that = this,
       /** @ignore */ none = function() { return null; },
-      prop = {t: none, l: none, r: none, b: none, w: none, h: none},
+      prop = {t: none, l: none, r: none, b: none, w: none, h: none,
+          a: none, ri: none, ro: none},
       values,
       buildImplied = that.buildImplied;
 
@@ -99,8 +100,11 @@ pv.Layout.Stack = function() {
         n = data.length,
         m,
         orient = s.orient,
+        radial = orient == "radial",
         horizontal = /^(top|bottom)\b/.test(orient),
-        h = this.parent[horizontal ? "height" : "width"](),
+        h = radial
+            ? Math.min(s.width, s.height) / 2
+            : this.parent[horizontal ? "height" : "width"](),
         x = [],
         y = [],
         dy = [];
@@ -218,21 +222,32 @@ pv.Layout.Stack = function() {
     }
 
     /* Find the property definitions for dynamic substitution. */
-    var i = orient.indexOf("-"),
-        pdy = horizontal ? "h" : "w",
-        px = i < 0 ? (horizontal ? "l" : "b") : orient.charAt(i + 1),
-        py = orient.charAt(0);
     for (var p in prop) prop[p] = none;
-    prop[px] = function(i, j) { return x[j]; };
-    prop[py] = function(i, j) { return y[i][j]; };
-    prop[pdy] = function(i, j) { return dy[i][j]; };
+    if (radial) {
+      var cx = s.width / 2, cy = s.height / 2;
+      prop.l = function() { return cx; };
+      prop.t = function() { return cy; };
+      prop.a = function(i, j) { return x[j]; };
+      prop.ri = function(i, j) { return y[i][j]; };
+      prop.ro = function(i, j) { return y[i][j] + dy[i][j]; };
+    } else {
+      var i = orient.indexOf("-"),
+          pdy = horizontal ? "h" : "w",
+          px = i < 0 ? (horizontal ? "l" : "b") : orient.charAt(i + 1),
+          py = orient.charAt(0);
+      prop[px] = function(i, j) { return x[j]; };
+      prop[py] = function(i, j) { return y[i][j]; };
+      prop[pdy] = function(i, j) { return dy[i][j]; };
+    }
   };
 
   /**
    * The layer prototype. This prototype is intended to be used with an area,
    * bar or panel mark (or subclass thereof). Other mark types may be possible,
-   * though note that the stack layout is not currently designed to support
-   * radial stacked visualizations using wedges.
+   * though note that the stack layout is not designed to support radial
+   * stacked visualizations using wedges; instead, use the "radial" orientation
+   * with {@link pv.Area.Radial}, {@link pv.Bar.Radial} or
+   * {@link pv.Line.Radial}.
    *
    * <p>The layer is not a direct child of the stack layout; a hidden panel is
    * used to replicate layers.
@@ -250,10 +265,20 @@ pv.Layout.Stack = function() {
       .height(proxy("h"));
 
   this.layer.add = function(type) {
-    return that.add(pv.Panel)
+    var mark = that.add(pv.Panel)
         .data(function() { return that.layers(); })
       .add(type)
         .extend(this);
+
+    /* Radial marks are positioned by angle and radius instead. */
+    if ((mark instanceof pv.Area.Radial)
+        || (mark instanceof pv.Bar.Radial)
+        || (mark instanceof pv.Line.Radial)) {
+      mark.angle(proxy("a"));
+      if (mark.properties.radius) mark.radius(proxy("ro"));
+      else mark.innerRadius(proxy("ri")).outerRadius(proxy("ro"));
+    }
+    return mark;
   };
 };
 
@@ -344,11 +369,20 @@ pv.Layout.Stack.prototype.values = function(f) {
  * <li>left-bottom == left
  * <li>right-top
  * <li>right-bottom == right
+ * <li>radial
  *
  * </ul>. The default value is "bottom-left", which means that the layers will
  * be built from the bottom-up, and the values within layers will be laid out
  * from left-to-right.
  *
+ * <p>The "radial" orientation builds the layers outward from the center of the
+ * layout, for use with {@link pv.Area.Radial}, {@link pv.Bar.Radial} or
+ * {@link pv.Line.Radial}. The <tt>x</tt> psuedo-property then defines the
+ * angle, in radians, and the <tt>y</tt> psuedo-property the thickness of each
+ * layer, in pixels; the inner and outer radii (or, for lines, the radius) are
+ * computed. The layers extend at most half the smaller of the width and height
+ * of the layout.
+ *
  * <p>Note that with non-zero baselines, some orientations may give similar
  * results. For example, offset("silohouette") centers the layers, resulting in
  * a streamgraph. Thus, the orientations "bottom-left" and "top-left" will
@@ -0,0 +1,119 @@
+/**
+ * Constructs a new radial area with default properties. Radial areas are not
+ * typically constructed directly, but by adding to a panel or an existing mark
+ * via {@link pv.Mark#add}.
+ *
+ * @class Represents an area in polar coordinates, such as a filled radar chart
+ * or a stacked radial area chart. Rather than by <tt>left</tt>, <tt>top</tt>,
+ * <tt>width</tt> and <tt>height</tt>, each span is positioned by its
+ * {@link #angle}, and extends from the {@link #innerRadius} to the
+ * {@link #outerRadius} relative to the center point, which is positioned using
+ * the standard box model, as with {@link pv.Wedge}. By default, the spans are
+ * spaced evenly around the circle, starting at 12 o'clock.
+ *
+ * <p>The outer edge of the area corresponds to the top edge of an
+ * {@link pv.Area}, and the inner edge to the bottom edge. All the other
+ * properties of areas are supported. To close the area, as for a radar chart,
+ * use {@link #interpolate} with "linear-closed", "basis-closed" or
+ * "cardinal-closed"; the inner and outer edges are then closed separately, such
+ * that the area is a ring if the inner radius is positive. Radial areas can be
+ * stacked using {@link pv.Layout.Stack} with the "radial" orientation.
+ *
+ * @extends pv.Area
+ */
+pv.Area.Radial = function() {
+  pv.Area.call(this);
+};
+
+pv.Area.Radial.prototype = pv.extend(pv.Area)
+    .property("angle", Number)
+    .property("innerRadius", Number)
+    .property("outerRadius", Number);
+
+/**
+ * The angle of the span, in radians, measured clockwise from the 3 o'clock
+ * position. The default value of this property spaces the spans evenly around
+ * the circle, starting with -PI / 2 for the first span.
+ *
+ * @type number
+ * @name pv.Area.Radial.prototype.angle
+ */
+
+/**
+ * The inner radius of the span, in pixels. The default value of this property
+ * is zero, such that the area extends from the center.
+ *
+ * @type number
+ * @name pv.Area.Radial.prototype.innerRadius
+ */
+
+/**
+ * The outer radius of the span, in pixels. This property is required.
+ *
+ * @type number
+ * @name pv.Area.Radial.prototype.outerRadius
+ */
+
+/**
+ * Default properties for radial areas. By default, the spans are spaced evenly
+ * around the circle, extending from the center, and the area is not closed.
+ *
+ * @type pv.Area.Radial
+ */
+pv.Area.Radial.prototype.defaults = new pv.Area.Radial()
+    .extend(pv.Area.prototype.defaults)
+    .angle(pv.Line.Radial.angle)
+    .innerRadius(0);
+
+/**
+ * Constructs a new radial area anchor with default properties. Radial areas
+ * support the same anchors as wedges, for each span:<ul>
+ *
+ * <li>outer
+ * <li>inner
+ * <li>center
+ * <li>start
+ * <li>end
+ *
+ * </ul>In addition to positioning properties, the anchors support text
+ * rendering properties (text-align, text-baseline, textAngle). As with wedges,
+ * text is rendered to appear inside the area; the start and end anchors are
+ * placed at the middle of the span, with text on either side. The anchors also
+ * propagate the interpolate and related properties, such that an anchored line
+ * matches the edge of the area between control points.
+ *
+ * @param {string} name the anchor name; either a string or a property function.
+ * @returns {pv.Anchor}
+ */
+pv.Area.Radial.prototype.anchor = function(name) {
+  return pv.Wedge.anchor(pv.Area.prototype.anchor.call(this, name),
+      pv.Area.Radial.polar);
+};
+
+/** @private Returns the polar coordinates of the specified scene node. */
+pv.Area.Radial.polar = function(s) {
+  return {
+    left: s.left - s.outerRadius * Math.cos(s.angle),
+    top: s.top - s.outerRadius * Math.sin(s.angle),
+    startAngle: s.angle,
+    endAngle: s.angle,
+    innerRadius: s.innerRadius,
+    outerRadius: s.outerRadius
+  };
+};
+
+/**
+ * @private Positions the span relative to the center, such that the outer edge
+ * is the top edge, and the inner edge is the bottom edge.
+ */
+pv.Area.Radial.prototype.buildImplied = function(s) {
+  var c = Math.cos(s.angle), k = Math.sin(s.angle);
+  s.width = (s.innerRadius - s.outerRadius) * c;
+  s.height = (s.innerRadius - s.outerRadius) * k;
+  pv.Area.prototype.buildImplied.call(this, s);
+  var x = s.outerRadius * c, y = s.outerRadius * k;
+  s.left += x;
+  s.right -= x;
+  s.top += y;
+  s.bottom -= y;
+};
@@ -27,11 +27,14 @@ pv.Area.prototype = pv.extend(pv.Mark)
     .property("width", Number)
     .property("height", Number)
     .property("lineWidth", Number)
+    .property("strokeDasharray", pv.Mark.dasharray)
+    .property("strokeDashoffset", Number)
     .property("strokeStyle", pv.color)
     .property("fillStyle", pv.color)
     .property("segmented", Boolean)
     .property("interpolate", String)
-    .property("tension", Number);
+    .property("tension", Number)
+    .property("beta", Number);
 
 pv.Area.prototype.type = "area";
 
@@ -69,6 +72,33 @@ pv.Area.prototype.type = "area";
  * @name pv.Area.prototype.lineWidth
  */
 
+/**
+ * The dash pattern of stroked lines, used to stroke the perimeter of the area;
+ * a list of alternating dash and gap lengths in pixels, such as "6,3" for
+ * dashes or "1,3" for dots. The dash pattern may be specified either as a
+ * string of numbers separated by commas or spaces, or as an array of numbers;
+ * it is stored as a comma-separated string. The default value of this property
+ * is null, meaning lines are solid.
+ *
+ * <p>This property is <i>fixed</i> for non-segmented areas. See
+ * {@link pv.Mark}.
+ *
+ * @type string
+ * @name pv.Area.prototype.strokeDasharray
+ */
+
+/**
+ * The distance into the dash pattern at which to start stroking, in pixels;
+ * used in conjunction with <tt>strokeDasharray</tt>. The default value of this
+ * property is null, equivalent to zero.
+ *
+ * <p>This property is <i>fixed</i> for non-segmented areas. See
+ * {@link pv.Mark}.
+ *
+ * @type number
+ * @name pv.Area.prototype.strokeDashoffset
+ */
+
 /**
  * The style of stroked lines; used in conjunction with <tt>lineWidth</tt> to
  * stroke the perimeter of the area. Unlike the {@link Line} mark type, the
@@ -112,7 +142,13 @@ pv.Area.prototype.type = "area";
  * default, producing a straight line between points. For piecewise constant
  * functions (i.e., step functions), either "step-before" or "step-after" can be
  * specified. To draw open uniform b-splines, specify "basis". To draw cardinal
- * splines, specify "cardinal"; see also {@link #tension}.
+ * splines, specify "cardinal"; see also {@link #tension}. The other spline
+ * interpolations supported by lines may also be specified: "monotone",
+ * "natural", "catmull-rom", "bundle", "linear-closed", "basis-closed" and
+ * "cardinal-closed"; see {@link pv.Line#interpolate}. The top and bottom edges
+ * are interpolated separately; for the closed interpolations, each edge is a
+ * closed curve, and the area between the two curves is filled, as for radial
+ * areas (see {@link pv.Area.Radial}).
  *
  * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
  *
@@ -134,6 +170,19 @@ pv.Area.prototype.type = "area";
  * @name pv.Area.prototype.tension
  */
 
+/**
+ * The straightening strength of bundled splines; used in conjunction with
+ * interpolate("bundle"). Each point is first moved towards the straight line
+ * between the first and last points, by the fraction 1 - <i>beta</i>, before
+ * drawing a b-spline. A value of 1 draws a b-spline through the original
+ * points, while a value of 0 draws a straight line. The default value is 0.85.
+ *
+ * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
+ *
+ * @type number
+ * @name pv.Area.prototype.beta
+ */
+
 /**
  * Default properties for areas. By default, there is no stroke and the fill
  * style is a categorical color.
@@ -145,7 +194,8 @@ pv.Area.prototype.defaults = new pv.Area()
     .lineWidth(1.5)
     .fillStyle(pv.Colors.category20().by(pv.parent))
     .interpolate("linear")
-    .tension(.7);
+    .tension(.7)
+    .beta(.85);
 
 /** @private Sets width and height to zero if null. */
 pv.Area.prototype.buildImplied = function(s) {
@@ -158,11 +208,17 @@ pv.Area.prototype.buildImplied = function(s) {
 pv.Area.fixed = {
   lineWidth: 1,
   lineJoin: 1,
+  strokeDasharray: 1,
+  strokeDashoffset: 1,
   strokeStyle: 1,
   fillStyle: 1,
   segmented: 1,
   interpolate: 1,
-  tension: 1
+  tension: 1,
+  beta: 1,
+  startMarker: 1,
+  midMarker: 1,
+  endMarker: 1
 };
 
 /**
@@ -243,8 +299,8 @@ pv.Area.prototype.buildInstance = function(s) {
  * </ul>In addition to positioning properties (left, right, top bottom), the
  * anchors support text rendering properties (text-align, text-baseline). Text
  * is rendered to appear inside the area. The area anchor also propagates the
- * interpolate, eccentricity, and tension properties such that an anchored area
- * or line will match positions between control points.
+ * interpolate, eccentricity, tension and beta properties such that an anchored
+ * area or line will match positions between control points.
  *
  * <p>For consistency with the other mark types, the anchor positions are
  * defined in terms of their opposite edge. For example, the top anchor defines
@@ -267,5 +323,8 @@ pv.Area.prototype.anchor = function(name) {
       })
     .tension(function() {
         return scene[this.index].tension;
+      })
+    .beta(function() {
+        return scene[this.index].beta;
       });
 };
@@ -0,0 +1,66 @@
+/**
+ * Constructs a new radial bar with default properties. Radial bars are not
+ * typically constructed directly, but by adding to a panel or an existing mark
+ * via {@link pv.Mark#add}.
+ *
+ * @class Represents a bar in polar coordinates, such as in a radial bar chart
+ * or a stacked radial bar chart. Rather than by <tt>left</tt>, <tt>top</tt>,
+ * <tt>width</tt> and <tt>height</tt>, each bar is positioned by its
+ * {@link #angle}, is {@link #angleWidth} radians wide, and extends from the
+ * {@link #innerRadius} to the {@link #outerRadius} relative to the center
+ * point, which is positioned using the standard box model. By default, the bars
+ * are spaced evenly around the circle, starting at 12 o'clock.
+ *
+ * <p>Radial bars are rendered as wedges; the start and end angles are implied
+ * from the angle and angle width, and should not be specified. Unlike
+ * {@link pv.Wedge}, the <tt>angle</tt> property is the position of the middle
+ * of the bar, rather than its angular span. Radial bars support the same
+ * anchors as wedges, and can be stacked using {@link pv.Layout.Stack} with the
+ * "radial" orientation.
+ *
+ * @extends pv.Wedge
+ */
+pv.Bar.Radial = function() {
+  pv.Wedge.call(this);
+};
+
+pv.Bar.Radial.prototype = pv.extend(pv.Wedge)
+    .property("angleWidth", Number);
+
+/**
+ * The angle of the middle of the bar, in radians, measured clockwise from the
+ * 3 o'clock position. The default value of this property spaces the bars evenly
+ * around the circle, starting with -PI / 2 for the first bar.
+ *
+ * @type number
+ * @name pv.Bar.Radial.prototype.angle
+ */
+
+/**
+ * The angular width of the bar, in radians. The default value of this property
+ * divides the circle evenly between the bars, such that adjacent bars touch.
+ *
+ * @type number
+ * @name pv.Bar.Radial.prototype.angleWidth
+ */
+
+/**
+ * Default properties for radial bars. By default, the bars divide the circle
+ * evenly, extending from the center.
+ *
+ * @type pv.Bar.Radial
+ */
+pv.Bar.Radial.prototype.defaults = new pv.Bar.Radial()
+    .extend(pv.Wedge.prototype.defaults)
+    .startAngle(null)
+    .angle(pv.Line.Radial.angle)
+    .angleWidth(function() {
+        return 2 * Math.PI / this.scene.length;
+      });
+
+/** @private Sets the start and end angles based on the angle and width. */
+pv.Bar.Radial.prototype.buildImplied = function(s) {
+  s.startAngle = s.angle - s.angleWidth / 2;
+  s.endAngle = s.angle + s.angleWidth / 2;
+  pv.Mark.prototype.buildImplied.call(this, s);
+};
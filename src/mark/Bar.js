@@ -27,10 +27,40 @@ pv.Bar = function() {
   pv.Mark.call(this);
 };
 
+/**
+ * @private The cast function for the <tt>cornerRadius</tt> property. Returns a
+ * number, given a single radius; or a string of four comma-separated numbers,
+ * such as "4,4,0,0", given per-corner radii. Per-corner radii may be specified
+ * either as a string of numbers separated by commas or spaces, or as an array
+ * of numbers; as with the CSS <tt>border-radius</tt> property, one to four
+ * radii may be specified, in the order top-left, top-right, bottom-right and
+ * bottom-left, with missing radii copied from the opposite corner. Strings are
+ * used, rather than arrays, so that equal radii compare equal.
+ *
+ * @param r the corner radius or radii.
+ * @returns the normalized corner radius.
+ */
+pv.Bar.radii = function(r) {
+  if (typeof r == "number") return Math.max(0, r);
+  if (typeof r == "string") r = r.match(/[0-9.]+/g) || [];
+  switch (r.length) {
+    case 0: return 0;
+    case 1: return Math.max(0, r[0]);
+    case 2: r = [r[0], r[1], r[0], r[1]]; break;
+    case 3: r = [r[0], r[1], r[2], r[1]]; break;
+  }
+  r = r.slice(0, 4).map(function(x) { return Math.max(0, x); });
+  return ((r[0] == r[1]) && (r[1] == r[2]) && (r[2] == r[3]))
+      ? r[0] : r.join(",");
+};
+
 pv.Bar.prototype = pv.extend(pv.Mark)
     .property("width", Number)
     .property("height", Number)
+    .property("cornerRadius", pv.Bar.radii)
     .property("lineWidth", Number)
+    .property("strokeDasharray", pv.Mark.dasharray)
+    .property("strokeDashoffset", Number)
     .property("strokeStyle", pv.color)
     .property("fillStyle", pv.color);
 
@@ -54,6 +84,29 @@ pv.Bar.prototype.type = "bar";
  * @name pv.Bar.prototype.height
  */
 
+/**
+ * The radius of the bar's corners, in pixels; if non-zero, the bar is drawn as
+ * a rounded rectangle. Different radii may be given for each corner, either as
+ * an array or as a string, in the order top-left, top-right, bottom-right and
+ * bottom-left; for example, to round only the top of a vertical bar:
+ *
+ * <pre>.cornerRadius([4, 4, 0, 0])</pre>
+ *
+ * If the bar is too small to fit its corners, as when the width of the bar is
+ * less than twice the radius, all radii are reduced proportionally, as with
+ * CSS. A uniform radius is stored as a number, and per-corner radii as a
+ * comma-separated string. The default value of this property is null, meaning
+ * the corners are square. Since panels and images are bars, this property also
+ * rounds the corners of panels, including their clipping region if the
+ * <tt>overflow</tt> property is "hidden", and of images.
+ *
+ * <p>The VML renderer does not support per-corner radii; the average radius is
+ * used instead. Nor does it clip images to their rounded corners.
+ *
+ * @type number
+ * @name pv.Bar.prototype.cornerRadius
+ */
+
 /**
  * The width of stroked lines, in pixels; used in conjunction with
  * <tt>strokeStyle</tt> to stroke the bar's border.
@@ -62,6 +115,27 @@ pv.Bar.prototype.type = "bar";
  * @name pv.Bar.prototype.lineWidth
  */
 
+/**
+ * The dash pattern of stroked lines, used to stroke the bar's border; a list of
+ * alternating dash and gap lengths in pixels, such as "6,3" for dashes or "1,3"
+ * for dots. The dash pattern may be specified either as a string of numbers
+ * separated by commas or spaces, or as an array of numbers; it is stored as a
+ * comma-separated string. The default value of this property is null, meaning
+ * lines are solid.
+ *
+ * @type string
+ * @name pv.Bar.prototype.strokeDasharray
+ */
+
+/**
+ * The distance into the dash pattern at which to start stroking, in pixels;
+ * used in conjunction with <tt>strokeDasharray</tt>. The default value of this
+ * property is null, equivalent to zero.
+ *
+ * @type number
+ * @name pv.Bar.prototype.strokeDashoffset
+ */
+
 /**
  * The style of stroked lines; used in conjunction with <tt>lineWidth</tt> to
  * stroke the bar's border. The default value of this property is null, meaning
@@ -24,6 +24,8 @@ pv.Dot.prototype = pv.extend(pv.Mark)
     .property("shape", String)
     .property("angle", Number)
     .property("lineWidth", Number)
+    .property("strokeDasharray", pv.Mark.dasharray)
+    .property("strokeDashoffset", Number)
     .property("strokeStyle", pv.color)
     .property("fillStyle", pv.color);
 
@@ -69,6 +71,13 @@ pv.Dot.prototype.type = "dot";
  * horizontal and vertical ticks. The tick shape is only necessary if angled
  * ticks are needed.
  *
+ * <p>Custom shapes may be registered by name in {@link pv.Dot.shapes}.
+ * Alternatively, the shape may be specified directly as SVG path data, such as
+ * "M0,-1L1,1H-1Z" for a triangle, in which case the path is defined for a dot
+ * of radius one and scaled by the dot's {@link #radius}. Custom shapes are
+ * rotated by the {@link #angle} and stroked with the {@link #lineWidth} just
+ * like the built-in shapes.
+ *
  * @type string
  * @name pv.Dot.prototype.shape
  */
@@ -89,6 +98,27 @@ pv.Dot.prototype.type = "dot";
  * @name pv.Dot.prototype.lineWidth
  */
 
+/**
+ * The dash pattern of stroked lines, used to stroke the dot's shape; a list of
+ * alternating dash and gap lengths in pixels, such as "6,3" for dashes or "1,3"
+ * for dots. The dash pattern may be specified either as a string of numbers
+ * separated by commas or spaces, or as an array of numbers; it is stored as a
+ * comma-separated string. The default value of this property is null, meaning
+ * lines are solid.
+ *
+ * @type string
+ * @name pv.Dot.prototype.strokeDasharray
+ */
+
+/**
+ * The distance into the dash pattern at which to start stroking, in pixels;
+ * used in conjunction with <tt>strokeDasharray</tt>. The default value of this
+ * property is null, equivalent to zero.
+ *
+ * @type number
+ * @name pv.Dot.prototype.strokeDashoffset
+ */
+
 /**
  * The style of stroked lines; used in conjunction with <tt>lineWidth</tt> to
  * stroke the dot's shape. The default value of this property is a categorical
@@ -122,6 +152,173 @@ pv.Dot.prototype.defaults = new pv.Dot()
     .lineWidth(1.5)
     .strokeStyle(pv.Colors.category10().by(pv.parent));
 
+/**
+ * The registry of custom shapes, by name; see {@link #shape}. Each shape is
+ * either SVG path data for a dot of radius one, centered on the origin, which
+ * is scaled by the dot's radius; or a function that is passed the dot's radius
+ * and returns the SVG path data of the shape at that size. A registered shape
+ * takes precedence over a built-in shape with the same name. For example, to
+ * register a five-pointed star:
+ *
+ * <pre>pv.Dot.shapes.star = "M0,-1.2L.35,-.49 1.14,-.37 .57,.18 .71,.97"
+ *     + " 0,.6 -.71,.97 -.57,.18 -1.14,-.37 -.35,-.49Z";</pre>
+ *
+ * The radius of a dot is its inradius for squares; thus, shapes of a similar
+ * area to the built-in shapes should roughly fill the square from (-1, -1) to
+ * (1, 1). Note that the VML renderer ignores the rotation of elliptical arcs.
+ */
+pv.Dot.shapes = {};
+
+/**
+ * @private Returns the SVG path data for the custom shape of the specified dot
+ * instance, or null if the dot has a built-in shape. The path is centered on
+ * the origin, and is not rotated.
+ *
+ * @param s a dot scene node.
+ * @returns {string} the path data, or null.
+ */
+pv.Dot.symbol = function(s) {
+  var shape = s.shape, f;
+  if (!shape) return null;
+  if (pv.Dot.shapes.hasOwnProperty(shape)) f = pv.Dot.shapes[shape];
+  else if (/^\s*M\s*[-+.\d]/i.test(shape)) f = shape;
+  else return null;
+  return (typeof f == "function") ? f(s.radius)
+      : pv.Dot.format(pv.Dot.parse(f), s.radius);
+};
+
+/**
+ * @private Returns the distance from the center of the specified dot instance
+ * to the farthest point of its custom shape, in pixels, as used by {@link
+ * pv.Behavior.point}; the distance is computed from the vertices and control
+ * points of the path. Returns null for built-in shapes.
+ *
+ * @param s a dot scene node.
+ * @returns {number} the extent of the dot, or null.
+ */
+pv.Dot.extent = function(s) {
+  var d = pv.Dot.symbol(s);
+  if (d == null) return null;
+  var segments = pv.Dot.parse(d), e = 0;
+  for (var i = 0; i < segments.length; i++) {
+    var p = segments[i].points;
+    if (segments[i].type == "A") p = p.slice(5);
+    for (var j = 0; j < p.length; j += 2) {
+      e = Math.max(e, Math.sqrt(p[j] * p[j] + p[j + 1] * p[j + 1]));
+    }
+  }
+  return e;
+};
+
+/**
+ * @private Parses the specified SVG path data, returning an array of segments
+ * with absolute coordinates. Each segment has a <tt>type</tt>, which is one of
+ * "M", "L", "C", "Q", "A" or "Z", and an array of <tt>points</tt>, the
+ * arguments of the corresponding SVG path command. Relative commands are made
+ * absolute, horizontal and vertical lines are converted to lines, and smooth
+ * curves are converted to curves with explicit control points.
+ *
+ * @param {string} d the SVG path data.
+ * @returns {object[]} the segments.
+ */
+pv.Dot.parse = function(d) {
+  var segments = [],
+      re = /([MLHVCSQTAZ])([^MLHVCSQTAZ]*)/gi,
+      x = 0, y = 0, // current point
+      x0 = 0, y0 = 0, // start of the current subpath
+      cx = 0, cy = 0, // last control point
+      last, m;
+
+  function push(type, p) {
+    segments.push({type: type, points: p});
+    if (p.length) {
+      x = p[p.length - 2];
+      y = p[p.length - 1];
+    }
+    if ((type == "C") || (type == "Q")) {
+      cx = p[p.length - 4];
+      cy = p[p.length - 3];
+    }
+    last = type;
+  }
+
+  while (m = re.exec(d)) {
+    var c = m[1].toUpperCase(), r = c != m[1],
+        n = (m[2].match(/[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/gi) || [])
+            .map(Number),
+        j, k, p;
+    switch (c) {
+      case "M":
+      case "L": {
+        for (j = 0; j < n.length; j += 2) {
+          push((c == "M") && !j ? "M" : "L",
+              [n[j] + (r ? x : 0), n[j + 1] + (r ? y : 0)]);
+          if ((c == "M") && !j) { x0 = x; y0 = y; }
+        }
+        break;
+      }
+      case "H": {
+        for (j = 0; j < n.length; j++) push("L", [n[j] + (r ? x : 0), y]);
+        break;
+      }
+      case "V": {
+        for (j = 0; j < n.length; j++) push("L", [x, n[j] + (r ? y : 0)]);
+        break;
+      }
+      case "C":
+      case "S":
+      case "Q":
+      case "T": {
+        k = {C: 6, S: 4, Q: 4, T: 2}[c];
+        for (j = 0; j < n.length; j += k) {
+          p = n.slice(j, j + k);
+          if (r) for (var i = 0; i < k; i++) p[i] += (i & 1) ? y : x;
+          if ((c == "S") || (c == "T")) { // reflect the last control point
+            var smooth = (c == "S") ? (last == "C") : (last == "Q");
+            p.unshift(smooth ? 2 * x - cx : x, smooth ? 2 * y - cy : y);
+          }
+          push(((c == "C") || (c == "S")) ? "C" : "Q", p);
+        }
+        break;
+      }
+      case "A": {
+        for (j = 0; j < n.length; j += 7) {
+          p = n.slice(j, j + 7);
+          if (r) { p[5] += x; p[6] += y; }
+          push("A", p);
+        }
+        break;
+      }
+      case "Z": {
+        push("Z", []);
+        x = x0;
+        y = y0;
+        break;
+      }
+    }
+  }
+  return segments;
+};
+
+/**
+ * @private Returns SVG path data for the specified segments, as returned by
+ * {@link #parse}, scaled by the factor <i>k</i>.
+ *
+ * @param {object[]} segments the path segments.
+ * @param {number} k the scale factor.
+ * @returns {string} the SVG path data.
+ */
+pv.Dot.format = function(segments, k) {
+  var d = [];
+  for (var i = 0; i < segments.length; i++) {
+    var s = segments[i], p = s.points.map(function(v, j) {
+        return ((s.type == "A") && (j > 1) && (j < 5)) ? v : v * k;
+      });
+    d.push(s.type + p.join(","));
+  }
+  return d.join("");
+};
+
 /**
  * Constructs a new dot anchor with default properties. Dots support five
  * different anchors:<ul>
@@ -0,0 +1,98 @@
+/**
+ * Returns the easing function with the specified name. Easing functions map a
+ * parameter <i>t</i> in [0, 1], representing the elapsed fraction of a
+ * transition, to the fraction of the interpolated change to apply. Easing
+ * functions are typically used to make animated transitions (see {@link
+ * pv.Transition}) start and stop gradually.
+ *
+ * <p>The supported names are "linear", and "quad", "cubic", "sin", "exp",
+ * "circle", "elastic", "back" and "bounce", each with the suffix "-in",
+ * "-out", "-in-out" or "-out-in". For example, "cubic-in-out" accelerates from
+ * the start and decelerates to the end, while "bounce-out" bounces at the end.
+ * If no easing function exists with the specified name, returns undefined.
+ *
+ * @param {string} name the easing function name, such as "cubic-in-out".
+ * @returns {function} the easing function.
+ */
+pv.ease = (function() {
+
+  /** @private Returns the ease-out function for the ease-in function f. */
+  function reverse(f) {
+    return function(t) {
+      return 1 - f(1 - t);
+    };
+  }
+
+  /** @private Returns the ease-in-out function for the ease-in function f. */
+  function reflect(f) {
+    return function(t) {
+      return .5 * (t < .5 ? f(2 * t) : (2 - f(2 - 2 * t)));
+    };
+  }
+
+  /** @private Returns a polynomial ease-in function with exponent e. */
+  function poly(e) {
+    return function(t) {
+      return t < 0 ? 0 : (t > 1 ? 1 : Math.pow(t, e));
+    };
+  }
+
+  /** @private Sinusoidal ease-in. */
+  function sin(t) {
+    return 1 - Math.cos(t * Math.PI / 2);
+  }
+
+  /** @private Exponential ease-in. */
+  function exp(t) {
+    return t ? Math.pow(2, 10 * (t - 1)) - .001 : 0;
+  }
+
+  /** @private Circular ease-in. */
+  function circle(t) {
+    return 1 - Math.sqrt(1 - t * t);
+  }
+
+  /** @private Elastic ease-in, overshooting before the start. */
+  function elastic(t) {
+    var p = .45, s = p / 4;
+    return -Math.pow(2, 10 * (t -= 1)) * Math.sin((t - s) * 2 * Math.PI / p);
+  }
+
+  /** @private Back ease-in, backing up slightly before the start. */
+  function back(t) {
+    var s = 1.70158;
+    return t * t * ((s + 1) * t - s);
+  }
+
+  /** @private Bouncing ease-in. */
+  function bounce(t) {
+    t = 1 - t;
+    return 1 - (t < 1 / 2.75 ? 7.5625 * t * t
+        : t < 2 / 2.75 ? 7.5625 * (t -= 1.5 / 2.75) * t + .75
+        : t < 2.5 / 2.75 ? 7.5625 * (t -= 2.25 / 2.75) * t + .9375
+        : 7.5625 * (t -= 2.625 / 2.75) * t + .984375);
+  }
+
+  var ins = {
+    quad: poly(2),
+    cubic: poly(3),
+    sin: sin,
+    exp: exp,
+    circle: circle,
+    elastic: elastic,
+    back: back,
+    bounce: bounce
+  }, eases = {linear: pv.identity};
+
+  for (var name in ins) {
+    var f = ins[name];
+    eases[name + "-in"] = f;
+    eases[name + "-out"] = reverse(f);
+    eases[name + "-in-out"] = reflect(f);
+    eases[name + "-out-in"] = reflect(reverse(f));
+  }
+
+  return function(name) {
+    return eases[name];
+  };
+})();
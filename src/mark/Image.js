@@ -28,7 +28,9 @@ pv.Image = function() {
 pv.Image.prototype = pv.extend(pv.Bar)
     .property("url", String)
     .property("imageWidth", Number)
-    .property("imageHeight", Number);
+    .property("imageHeight", Number)
+    .property("imageFit", String)
+    .property("imageAlign", String);
 
 pv.Image.prototype.type = "image";
 
@@ -41,25 +43,62 @@ pv.Image.prototype.type = "image";
  */
 
 /**
- * The width of the image in pixels. For static images, this property is
- * computed implicitly from the loaded image resources. For dynamic images, this
- * property can be used to specify the width of the pixel buffer; otherwise, the
- * value is derived from the <tt>width</tt> property.
+ * The width of the image in pixels. For dynamic images, this property can be
+ * used to specify the width of the pixel buffer. If not specified, the value
+ * is derived from the <tt>width</tt> property; however, for static images with
+ * an {@link #imageFit} other than "none", the value is instead computed
+ * implicitly from the loaded image resource.
  *
  * @type number
  * @name pv.Image.prototype.imageWidth
  */
 
 /**
- * The height of the image in pixels. For static images, this property is
- * computed implicitly from the loaded image resources. For dynamic images, this
- * property can be used to specify the height of the pixel buffer; otherwise, the
- * value is derived from the <tt>height</tt> property.
+ * The height of the image in pixels. For dynamic images, this property can be
+ * used to specify the height of the pixel buffer. If not specified, the value
+ * is derived from the <tt>height</tt> property; however, for static images with
+ * an {@link #imageFit} other than "none", the value is instead computed
+ * implicitly from the loaded image resource.
  *
  * @type number
  * @name pv.Image.prototype.imageHeight
  */
 
+/**
+ * How the image is scaled to fit the bounds of the mark. One of:<ul>
+ *
+ * <li>none - the image is stretched to fill the bounds exactly, regardless of
+ * its aspect ratio.
+ * <li>contain - the image is scaled uniformly to the largest size that fits
+ * within the bounds; thus, the whole image is visible.
+ * <li>cover - the image is scaled uniformly to the smallest size that covers
+ * the bounds; thus, the image is cropped.
+ * <li>center - the image is not scaled, and is cropped if larger than the
+ * bounds.
+ * <li>tile - the image is not scaled, and is repeated to fill the bounds.
+ *
+ * </ul>The default is "none". Except for "none", the image is positioned
+ * within the bounds per {@link #imageAlign}. The size of the image is given by
+ * the {@link #imageWidth} and {@link #imageHeight} properties; thus, for
+ * dynamic images, the pixel buffer is scaled so as to preserve its aspect
+ * ratio. The VML renderer only supports "none".
+ *
+ * @type string
+ * @name pv.Image.prototype.imageFit
+ */
+
+/**
+ * The alignment of the image within the bounds of the mark, if the image does
+ * not fill them exactly; see {@link #imageFit}. A space-separated combination
+ * of a horizontal alignment ("left", "center" or "right") and a vertical
+ * alignment ("top", "middle" or "bottom"), such as "left top"; an omitted
+ * alignment is centered. For tiled images, one of the tiles is positioned
+ * thus. The default is "center".
+ *
+ * @type string
+ * @name pv.Image.prototype.imageAlign
+ */
+
 /**
  * Default properties for images. By default, there is no stroke or fill style.
  *
@@ -67,7 +106,58 @@ pv.Image.prototype.type = "image";
  */
 pv.Image.prototype.defaults = new pv.Image()
     .extend(pv.Bar.prototype.defaults)
-    .fillStyle(null);
+    .fillStyle(null)
+    .imageFit("none")
+    .imageAlign("center");
+
+/**
+ * Returns the position and size of the image of the specified image instance,
+ * given the image's intrinsic width <i>w</i> and height <i>h</i>, per the
+ * {@link #imageFit} and {@link #imageAlign} properties. The returned object
+ * has <tt>x</tt>, <tt>y</tt>, <tt>width</tt> and <tt>height</tt> attributes,
+ * with the position relative to the top-left corner of the mark; for tiled
+ * images, this is the aligned tile.
+ *
+ * @param s an image scene node.
+ * @param {number} w the intrinsic image width.
+ * @param {number} h the intrinsic image height.
+ * @returns {object} the image rectangle.
+ */
+pv.Image.layout = function(s, w, h) {
+  var k;
+  switch (s.imageFit) {
+    case "contain": k = Math.min(s.width / w, s.height / h); break;
+    case "cover": k = Math.max(s.width / w, s.height / h); break;
+    case "center": case "tile": k = 1; break;
+    default: return {x: 0, y: 0, width: s.width, height: s.height};
+  }
+  var a = pv.Image.align(s);
+  w *= k;
+  h *= k;
+  return {
+    x: (s.width - w) * a[0],
+    y: (s.height - h) * a[1],
+    width: w,
+    height: h
+  };
+};
+
+/**
+ * @private Returns the alignment of the specified image instance as a pair of
+ * fractions in [0, 1], for the horizontal and vertical alignment respectively.
+ */
+pv.Image.align = function(s) {
+  var a = [.5, .5], words = (s.imageAlign || "").split(/\s+/);
+  for (var i = 0; i < words.length; i++) {
+    switch (words[i]) {
+      case "left": a[0] = 0; break;
+      case "right": a[0] = 1; break;
+      case "top": a[1] = 0; break;
+      case "bottom": a[1] = 1; break;
+    }
+  }
+  return a;
+};
 
 /**
  * Specifies the dynamic image function. By default, no image function is
@@ -118,16 +208,29 @@ pv.Image.prototype.buildImplied = function(s) {
   pv.Bar.prototype.buildImplied.call(this, s);
   if (!s.visible) return;
 
-  /* Compute the implied image dimensions. */
-  if (s.imageWidth == null) s.imageWidth = s.width;
-  if (s.imageHeight == null) s.imageHeight = s.height;
+  /*
+   * Compute the implied image dimensions. Fitted static images are sized by
+   * the renderer, once the natural size of the image is known.
+   */
+  if ((s.url == null) || (s.imageFit == "none")) {
+    if (s.imageWidth == null) s.imageWidth = s.width;
+    if (s.imageHeight == null) s.imageHeight = s.height;
+  }
 
-  /* Compute the pixel values. */
+  /*
+   * Compute the pixel values. The image function is evaluated anew on every
+   * build, so the pixels are always considered changed; see pv.Mark#build.
+   */
   if ((s.url == null) && this.binds.image) {
+    if (this.$changed === false) this.$changed = true;
 
     /* Cache the canvas element to reuse across renders. */
-    var canvas = this.$canvas || (this.$canvas = document.createElement("canvas")),
-        context = canvas.getContext("2d"),
+    var canvas = this.$canvas || (this.$canvas = pv.document.createElement("canvas"));
+
+    /* Headless documents do not support canvas; the image is not rendered. */
+    if (!canvas.getContext) return;
+
+    var context = canvas.getContext("2d"),
         w = s.imageWidth,
         h = s.imageHeight,
         stack = pv.Mark.stack,
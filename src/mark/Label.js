@@ -36,14 +36,19 @@ pv.Label.prototype = pv.extend(pv.Mark)
     .property("textBaseline", String)
     .property("textMargin", Number)
     .property("textDecoration", String)
-    .property("textShadow", String);
+    .property("textShadow", String)
+    .property("textPlacement", String)
+    .property("textMaxWidth", Number)
+    .property("textMaxLines", Number)
+    .property("textLineHeight", Number);
 
 pv.Label.prototype.type = "label";
 
 /**
  * The character data to render; a string. The default value of the text
  * property is the identity function, meaning the label's associated datum will
- * be rendered using its <tt>toString</tt>.
+ * be rendered using its <tt>toString</tt>. Embedded newlines ("\n") break the
+ * text into multiple lines; see also {@link #textMaxWidth}.
  *
  * @type string
  * @name pv.Label.prototype.text
@@ -52,8 +57,8 @@ pv.Label.prototype.type = "label";
 /**
  * The font format, per the CSS Level 2 specification. The default font is "10px
  * sans-serif", for consistency with the HTML 5 canvas element specification.
- * Note that since text is not wrapped, any line-height property will be
- * ignored. The other font-style, font-variant, font-weight, font-size and
+ * Any line-height property will be ignored; use {@link #textLineHeight}
+ * instead. The other font-style, font-variant, font-weight, font-size and
  * font-family properties are supported.
  *
  * @see <a href="http://www.w3.org/TR/CSS2/fonts.html#font-shorthand">CSS2 fonts</a>
@@ -137,6 +142,81 @@ pv.Label.prototype.type = "label";
  * @name pv.Label.prototype.textDecoration
  */
 
+/**
+ * How to place the label so as to avoid overlapping other labels; null, the
+ * default, disables placement, while "auto" tries each of the following
+ * candidate positions relative to the label's anchor location, in order:<ul>
+ *
+ * <li>top
+ * <li>right
+ * <li>bottom
+ * <li>left
+ * <li>top-right
+ * <li>top-left
+ * <li>bottom-right
+ * <li>bottom-left
+ *
+ * </ul>Alternatively, a space-separated list of candidate positions may be
+ * specified, such as "right left"; the position "center" is also supported.
+ * Each candidate position sets the {@link #textAlign} and {@link #textBaseline}
+ * properties as for the equivalent anchor of a dot (see {@link pv.Dot#anchor}),
+ * such that the text is offset from the anchor location by the {@link
+ * #textMargin}. For example, "top" centers the text above the anchor location.
+ *
+ * <p>The first candidate position where the label does not overlap any label
+ * placed before it is used. A label that would extend outside the enclosing
+ * panel is nudged back inside; if no candidate position avoids overlapping,
+ * the label is hidden. Labels are placed in order: labels of earlier instances,
+ * and of labels added earlier to the same panel, take precedence, regardless
+ * of whether they specify this property. Thus, to favor the labels of more
+ * important data, sort the data by importance. Labels in other panels are
+ * ignored.
+ *
+ * <p>Label sizes are measured using {@link pv.Text.measure}, and so are only
+ * approximate; the height of each line is taken to be its font size.
+ *
+ * @type string
+ * @name pv.Label.prototype.textPlacement
+ */
+
+/**
+ * The maximum width of each line of text, in pixels; if specified, the text is
+ * wrapped on word boundaries so as to fit within this width. The width is
+ * measured using {@link pv.Text.measure}, and so is only approximate; a single
+ * word wider than the maximum is not broken. The default is null, meaning that
+ * text is only broken at embedded newlines.
+ *
+ * <p>Multiple lines are stacked in the direction of the text's baseline, and
+ * then aligned as a block: for example, with a middle baseline, the lines are
+ * centered vertically on the anchor location, while with a bottom baseline,
+ * the last line sits on the anchor location. Each line is aligned horizontally
+ * per {@link #textAlign}, and the block is rotated per {@link #textAngle}.
+ * Note that the VML renderer does not support multiple lines, since each label
+ * is drawn along a single text path; the lines are instead joined with spaces.
+ *
+ * @type number
+ * @name pv.Label.prototype.textMaxWidth
+ */
+
+/**
+ * The maximum number of lines of text. If the text would be broken into more
+ * lines, the extra lines are discarded, and the last line is truncated and
+ * terminated with an ellipsis. The default is null, meaning that the number of
+ * lines is unlimited.
+ *
+ * @type number
+ * @name pv.Label.prototype.textMaxLines
+ */
+
+/**
+ * The distance between the baselines of consecutive lines of text, as a
+ * multiple of the font size; see {@link #textMaxWidth}. The default line
+ * height is 1.2. Has no effect on single-line text.
+ *
+ * @type number
+ * @name pv.Label.prototype.textLineHeight
+ */
+
 /**
  * Default properties for labels. See the individual properties for the default
  * values.
@@ -152,4 +232,196 @@ pv.Label.prototype.defaults = new pv.Label()
     .textStyle("black")
     .textAlign("left")
     .textBaseline("bottom")
-    .textMargin(3);
+    .textMargin(3)
+    .textLineHeight(1.2);
+
+/**
+ * @private The text alignment and baseline for each candidate position; see
+ * {@link #textPlacement}.
+ */
+pv.Label.placements = {
+  "top": ["center", "bottom"],
+  "right": ["left", "middle"],
+  "bottom": ["center", "top"],
+  "left": ["right", "middle"],
+  "top-right": ["left", "bottom"],
+  "top-left": ["right", "bottom"],
+  "bottom-right": ["left", "top"],
+  "bottom-left": ["right", "top"],
+  "center": ["center", "middle"]
+};
+
+/**
+ * Returns the lines of text of the specified label instance, as an array of
+ * strings, honoring embedded newlines and the {@link #textMaxWidth} and
+ * {@link #textMaxLines} properties; see {@link pv.Text.wrap}.
+ *
+ * @param s a label scene node.
+ * @returns {string[]} the lines of text.
+ */
+pv.Label.lines = function(s) {
+  var text = s.text;
+  if (!s.textMaxWidth && !s.textMaxLines && (text.indexOf("\n") < 0)) {
+    return [text];
+  }
+  return pv.Text.wrap(text, s.font, s.textMaxWidth, s.textMaxLines);
+};
+
+/**
+ * Returns the bounding box of the text of the specified label instance, in the
+ * coordinate space of the enclosing panel, as an object with <tt>x</tt>,
+ * <tt>y</tt>, <tt>dx</tt> and <tt>dy</tt> attributes. The box accounts for the
+ * text alignment, baseline, margin and angle, and for multiple lines. Since
+ * text is not scaled by any enclosing transforms, the size of the text must be
+ * divided by the scale <i>k</i> of the enclosing panel, if any.
+ *
+ * @param s a label scene node.
+ * @param {number} [k] the scale of the enclosing panel; defaults to 1.
+ * @returns {object} the bounding box.
+ */
+pv.Label.bounds = function(s, k) {
+  if (k == null) k = 1;
+  var lines = pv.Label.lines(s),
+      size = pv.Text.measure(lines[0], s.font),
+      w = size.width,
+      h = size.height * (1 + (lines.length - 1) * s.textLineHeight),
+      m = s.textMargin / k,
+      x, y;
+  for (var j = 1; j < lines.length; j++) {
+    w = Math.max(w, pv.Text.measure(lines[j], s.font).width);
+  }
+  w /= k;
+  h /= k;
+  switch (s.textAlign) {
+    case "center": x = -w / 2; break;
+    case "right": x = -m - w; break;
+    default: x = m; break;
+  }
+  switch (s.textBaseline) {
+    case "middle": y = -h / 2; break;
+    case "top": y = m; break;
+    default: y = -m - h; break;
+  }
+
+  /* Rotate the corners, and then compute their extent. */
+  var c = Math.cos(s.textAngle || 0), d = Math.sin(s.textAngle || 0),
+      xs = [], ys = [];
+  for (var i = 0; i < 4; i++) {
+    var px = x + ((i & 1) ? w : 0), py = y + ((i & 2) ? h : 0);
+    xs.push(px * c - py * d);
+    ys.push(px * d + py * c);
+  }
+  x = pv.min(xs);
+  y = pv.min(ys);
+  return {
+    x: s.left + x,
+    y: s.top + y,
+    dx: pv.max(xs) - x,
+    dy: pv.max(ys) - y
+  };
+};
+
+/**
+ * @private Builds the scene graph for this label, tracking the bounding boxes
+ * of the labels placed so far, if any instance specifies a placement.
+ */
+pv.Label.prototype.build = function() {
+  this.$boxes = null;
+  pv.Mark.prototype.build.call(this);
+  delete this.$boxes;
+};
+
+/**
+ * @private Places the label, if a placement is specified. Since placement
+ * depends on other labels, rather than on this label's properties alone, the
+ * result is compared to the previous placement to detect changes; see
+ * pv.Mark#build.
+ */
+pv.Label.prototype.buildImplied = function(s) {
+  pv.Mark.prototype.buildImplied.call(this, s);
+  if (!s.text) return;
+  if (s.textPlacement) {
+    var o = s.$placement, p;
+    this.place(s);
+    p = s.$placement = [s.visible, s.left, s.top, s.textAlign, s.textBaseline]
+        .join(",");
+    if ((this.$changed === false) && (o != p)) this.$changed = true;
+  } else if (this.$boxes) {
+    this.$boxes.push(pv.Label.bounds(s, this.scale));
+  }
+};
+
+/**
+ * @private Places the specified label instance at the first candidate
+ * position that does not overlap a previously-placed label, or hides it.
+ *
+ * @param s a label scene node.
+ * @see #textPlacement
+ */
+pv.Label.prototype.place = function(s) {
+  var boxes = this.$boxes || (this.$boxes = this.obstacles()),
+      names = (s.textPlacement == "auto")
+          ? ["top", "right", "bottom", "left",
+             "top-right", "top-left", "bottom-right", "bottom-left"]
+          : s.textPlacement.split(/\s+/),
+      w = this.parent ? this.parent.width() : Infinity,
+      h = this.parent ? this.parent.height() : Infinity,
+      l = s.left,
+      t = s.top;
+
+  /* Returns true if the specified box overlaps a previously-placed label. */
+  function overlaps(b) {
+    for (var i = 0; i < boxes.length; i++) {
+      var o = boxes[i];
+      if ((b.x < o.x + o.dx) && (o.x < b.x + b.dx)
+          && (b.y < o.y + o.dy) && (o.y < b.y + b.dy)) return true;
+    }
+    return false;
+  }
+
+  for (var i = 0; i < names.length; i++) {
+    var p = pv.Label.placements[names[i]];
+    if (!p) continue;
+    s.textAlign = p[0];
+    s.textBaseline = p[1];
+    s.left = l;
+    s.top = t;
+    var b = pv.Label.bounds(s, this.scale),
+        dx = Math.max(0, -b.x) || Math.min(0, w - b.x - b.dx),
+        dy = Math.max(0, -b.y) || Math.min(0, h - b.y - b.dy);
+    b.x += dx;
+    b.y += dy;
+    if (!overlaps(b)) {
+      s.left += dx;
+      s.right -= dx;
+      s.top += dy;
+      s.bottom -= dy;
+      boxes.push(b);
+      return;
+    }
+  }
+  s.visible = false;
+};
+
+/**
+ * @private Returns the bounding boxes of the labels placed before the current
+ * instance of this label: the visible instances of labels added earlier to the
+ * same panel, and the previous instances of this label.
+ */
+pv.Label.prototype.obstacles = function() {
+  var boxes = [], k = this.scale;
+  function add(scene, n) {
+    for (var i = 0; i < n; i++) {
+      var s = scene[i];
+      if (s.visible && s.text) boxes.push(pv.Label.bounds(s, k));
+    }
+  }
+  if (this.parent) {
+    for (var i = 0; i < this.childIndex; i++) {
+      var m = this.parent.children[i];
+      if ((m.type == "label") && m.scene) add(m.scene, m.scene.length);
+    }
+  }
+  add(this.scene, this.index);
+  return boxes;
+};
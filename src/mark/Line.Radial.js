@@ -0,0 +1,120 @@
+/**
+ * Constructs a new radial line with default properties. Radial lines are not
+ * typically constructed directly, but by adding to a panel or an existing mark
+ * via {@link pv.Mark#add}.
+ *
+ * @class Represents a line in polar coordinates, such as the outline of a radar
+ * chart. Rather than by <tt>left</tt> and <tt>top</tt>, each point is
+ * positioned by its {@link #angle} and {@link #radius} relative to the center
+ * point, which is positioned using the standard box model, as with
+ * {@link pv.Wedge}. By default, the points are spaced evenly around the circle,
+ * starting at 12 o'clock.
+ *
+ * <p>All the other properties of {@link pv.Line} are supported. To close the
+ * line, as for a radar chart, use {@link #interpolate} with "linear-closed",
+ * "basis-closed" or "cardinal-closed". Note that marks added to a radial line
+ * inherit the center point, rather than the position of each point; use an
+ * anchor, such as "center", to place dots or labels at the points.
+ *
+ * @extends pv.Line
+ */
+pv.Line.Radial = function() {
+  pv.Line.call(this);
+};
+
+pv.Line.Radial.prototype = pv.extend(pv.Line)
+    .property("angle", Number)
+    .property("radius", Number);
+
+/**
+ * The angle of the point, in radians, measured clockwise from the 3 o'clock
+ * position. The default value of this property spaces the points evenly around
+ * the circle, starting with -PI / 2 for the first point.
+ *
+ * @type number
+ * @name pv.Line.Radial.prototype.angle
+ */
+
+/**
+ * The distance of the point from the center, in pixels. This property is
+ * required.
+ *
+ * @type number
+ * @name pv.Line.Radial.prototype.radius
+ */
+
+/**
+ * @private The default angle of radial marks, spacing the instances evenly
+ * around the circle, clockwise from 12 o'clock.
+ */
+pv.Line.Radial.angle = function() {
+  return 2 * Math.PI * this.index / this.scene.length - Math.PI / 2;
+};
+
+/**
+ * Default properties for radial lines. By default, the points are spaced
+ * evenly around the circle, and the line is not closed.
+ *
+ * @type pv.Line.Radial
+ */
+pv.Line.Radial.prototype.defaults = new pv.Line.Radial()
+    .extend(pv.Line.prototype.defaults)
+    .angle(pv.Line.Radial.angle);
+
+/**
+ * Constructs a new radial line anchor with default properties. Radial lines
+ * support the same anchors as wedges, for each point:<ul>
+ *
+ * <li>outer
+ * <li>inner
+ * <li>center
+ * <li>start
+ * <li>end
+ *
+ * </ul>All five anchors are positioned at the point. In addition to positioning
+ * properties, the anchors support text rendering properties (text-align,
+ * text-baseline, textAngle). As with lines, text is rendered to appear outside
+ * the line; the outer anchor renders text away from the center, while the
+ * inner anchor renders text towards the center.
+ *
+ * @param {string} name the anchor name; either a string or a property function.
+ * @returns {pv.Anchor}
+ */
+pv.Line.Radial.prototype.anchor = function(name) {
+  var scene;
+  return pv.Wedge.anchor(pv.Area.prototype.anchor.call(this, name),
+      pv.Line.Radial.polar)
+    .def("$radial.anchor", function() {
+        scene = this.scene.target;
+      })
+    .textAlign(function() {
+        var a = scene[this.index].angle;
+        switch (this.name()) {
+          case "outer": return pv.Wedge.upright(a) ? "left" : "right";
+          case "inner": return pv.Wedge.upright(a) ? "right" : "left";
+        }
+        return "center";
+      });
+};
+
+/** @private Returns the polar coordinates of the specified scene node. */
+pv.Line.Radial.polar = function(s) {
+  return {
+    left: s.left - s.radius * Math.cos(s.angle),
+    top: s.top - s.radius * Math.sin(s.angle),
+    startAngle: s.angle,
+    endAngle: s.angle,
+    innerRadius: s.radius,
+    outerRadius: s.radius
+  };
+};
+
+/** @private Positions the point relative to the center. */
+pv.Line.Radial.prototype.buildImplied = function(s) {
+  pv.Line.prototype.buildImplied.call(this, s);
+  var x = s.radius * Math.cos(s.angle), y = s.radius * Math.sin(s.angle);
+  s.left += x;
+  s.right -= x;
+  s.top += y;
+  s.bottom -= y;
+};
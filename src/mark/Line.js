@@ -24,16 +24,45 @@ pv.Line = function() {
 
 pv.Line.prototype = pv.extend(pv.Mark)
     .property("lineWidth", Number)
+    .property("strokeDasharray", pv.Mark.dasharray)
+    .property("strokeDashoffset", Number)
     .property("lineJoin", String)
     .property("strokeStyle", pv.color)
     .property("fillStyle", pv.color)
     .property("segmented", Boolean)
     .property("interpolate", String)
     .property("eccentricity", Number)
-    .property("tension", Number);
+    .property("tension", Number)
+    .property("beta", Number)
+    .property("startMarker", String)
+    .property("midMarker", String)
+    .property("endMarker", String);
 
 pv.Line.prototype.type = "line";
 
+/**
+ * The built-in line markers, by name; see {@link #startMarker}. Each marker is
+ * a filled shape, specified as SVG path data, in a coordinate system where the
+ * origin is the marked point, the positive x-axis points in the direction of
+ * the line, and one unit is the line width. The following markers are
+ * supported:<ul>
+ *
+ * <li>arrow - a triangular arrowhead.
+ * <li>circle - a circle, centered on the point.
+ * <li>bar - a bar perpendicular to the line.
+ *
+ * </ul>Custom markers may be defined by adding to this map; for example:
+ *
+ * <pre>pv.Line.markers.diamond = "M2,0L0,1.5L-2,0L0,-1.5Z";</pre>
+ *
+ * Markers are also supported by rules; see {@link pv.Rule#startMarker}.
+ */
+pv.Line.markers = {
+  arrow: "M1,0L-4,2.5L-4,-2.5Z",
+  circle: "M2,0A2,2 0 1,1 -2,0A2,2 0 1,1 2,0Z",
+  bar: "M-.5,-3H.5V3H-.5Z"
+};
+
 /**
  * The width of stroked lines, in pixels; used in conjunction with
  * <tt>strokeStyle</tt> to stroke the line.
@@ -42,6 +71,37 @@ pv.Line.prototype.type = "line";
  * @name pv.Line.prototype.lineWidth
  */
 
+/**
+ * The dash pattern of stroked lines, used to stroke the line; a list of
+ * alternating dash and gap lengths in pixels, such as "6,3" for dashes or "1,3"
+ * for dots. The dash pattern may be specified either as a string of numbers
+ * separated by commas or spaces, or as an array of numbers; it is stored as a
+ * comma-separated string. The default value of this property is null, meaning
+ * lines are solid.
+ *
+ * <p>Segmented lines with a dash pattern are stroked without joins, since the
+ * dash pattern cannot be applied to the manually-computed miter joins; see
+ * {@link #lineJoin}.
+ *
+ * <p>This property is <i>fixed</i> for non-segmented lines. See
+ * {@link pv.Mark}.
+ *
+ * @type string
+ * @name pv.Line.prototype.strokeDasharray
+ */
+
+/**
+ * The distance into the dash pattern at which to start stroking, in pixels;
+ * used in conjunction with <tt>strokeDasharray</tt>. The default value of this
+ * property is null, equivalent to zero.
+ *
+ * <p>This property is <i>fixed</i> for non-segmented lines. See
+ * {@link pv.Mark}.
+ *
+ * @type number
+ * @name pv.Line.prototype.strokeDashoffset
+ */
+
 /**
  * The style of stroked lines; used in conjunction with <tt>lineWidth</tt> to
  * stroke the line. The default value of this property is a categorical color.
@@ -55,12 +115,13 @@ pv.Line.prototype.type = "line";
  * The type of corners where two lines meet. Accepted values are "bevel",
  * "round" and "miter". The default value is "miter".
  *
- * <p>For segmented lines, only "miter" joins and "linear" interpolation are
+ * <p>For segmented lines, only "miter" joins with "linear" interpolation are
  * currently supported. Any other value, including null, will disable joins,
- * producing disjoint line segments. Note that the miter joins must be computed
- * manually (at least in the current SVG renderer); since this calculation may
- * be expensive and unnecessary for small lines, specifying null can improve
- * performance significantly.
+ * producing disjoint line segments; curved segments are cut from the curve
+ * through all the points, and so remain smooth across segment boundaries. Note
+ * that the miter joins must be computed manually (at least in the current SVG
+ * renderer); since this calculation may be expensive and unnecessary for small
+ * lines, specifying null can improve performance significantly.
  *
  * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
  *
@@ -73,7 +134,18 @@ pv.Line.prototype.type = "line";
  * filled with the specified color. The default value of this property is a
  * null, meaning that lines are not filled by default.
  *
- * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
+ * <p>Segmented lines are filled segment by segment, using the fill style of the
+ * first point of each segment, and the fills are drawn underneath the strokes.
+ * Each segment is closed over its own span of the baseline between the first
+ * and last points of the line, such that the segments tile the same region as
+ * the unsegmented line without overlapping, provided the points are in order
+ * along the baseline (as with a function of <i>x</i>). For closed
+ * interpolations, such as "linear-closed", each segment is instead closed
+ * through the first point of the line; the fills tile provided each segment is
+ * visible from the first point, as with convex shapes.
+ *
+ * <p>This property is <i>fixed</i> for non-segmented lines. See
+ * {@link pv.Mark}.
  *
  * @type string
  * @name pv.Line.prototype.fillStyle
@@ -98,7 +170,23 @@ pv.Line.prototype.type = "line";
  * specified. To draw a clockwise circular arc between points, specify "polar";
  * to draw a counterclockwise circular arc between points, specify
  * "polar-reverse". To draw open uniform b-splines, specify "basis". To draw
- * cardinal splines, specify "cardinal"; see also {@link #tension}.
+ * cardinal splines, specify "cardinal"; see also {@link #tension}. To draw
+ * monotone cubic splines, which preserve the monotonicity of the data, specify
+ * "monotone". To draw natural cubic splines, specify "natural". To draw
+ * centripetal Catmull-Rom splines, which do not overshoot or self-intersect
+ * between points, specify "catmull-rom".
+ *
+ * <p>To draw bundled b-splines, specify "bundle"; see also {@link #beta}. For
+ * hierarchical edge bundling, each line should pass through the nodes of a
+ * {@link pv.Layout.Cluster} (or similar) connecting its two end nodes; see
+ * {@link pv.Dom.Node#path}. To draw closed shapes, such as for radial lines
+ * (see {@link pv.Line.Radial}), specify "linear-closed", "basis-closed" or
+ * "cardinal-closed"; the last point is joined back to the first, so the first
+ * point should not be repeated.
+ *
+ * <p>Splines and closed shapes require at least three points; with fewer, the
+ * points are joined by straight lines. The VML renderer draws splines as
+ * straight lines, closing the closed interpolations.
  *
  * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
  *
@@ -130,6 +218,61 @@ pv.Line.prototype.type = "line";
  * @name pv.Line.prototype.tension
  */
 
+/**
+ * The straightening strength of bundled splines; used in conjunction with
+ * interpolate("bundle"). Each point is first moved towards the straight line
+ * between the first and last points, by the fraction 1 - <i>beta</i>, before
+ * drawing a b-spline. A value of 1 draws a b-spline through the original
+ * points, while a value of 0 draws a straight line. The default value is 0.85.
+ *
+ * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
+ *
+ * @type number
+ * @name pv.Line.prototype.beta
+ */
+
+/**
+ * The marker drawn at the start of the line, such as "arrow"; see {@link
+ * pv.Line.markers} for the supported markers. The marker is sized relative to
+ * the line width, filled with the stroke style, and oriented along the tangent
+ * of the line, including curved interpolations. Start markers are reversed,
+ * such that an arrow at the start of the line points away from the line. The
+ * default value of this property is null, meaning no marker is drawn.
+ *
+ * <p>Markers are not drawn for segmented lines. The VML renderer supports only
+ * the arrow and circle markers at the start and end of the line.
+ *
+ * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
+ *
+ * @type string
+ * @name pv.Line.prototype.startMarker
+ */
+
+/**
+ * The marker drawn at each interior point of the line, such as "circle"; see
+ * {@link #startMarker}. Interior points are the vertices of the rendered path,
+ * which for curved interpolations such as "basis" may not coincide with the
+ * data. Each marker is oriented along the bisector of the incoming and outgoing
+ * tangents. The default value of this property is null, meaning no markers are
+ * drawn.
+ *
+ * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
+ *
+ * @type string
+ * @name pv.Line.prototype.midMarker
+ */
+
+/**
+ * The marker drawn at the end of the line, such as "arrow"; see {@link
+ * #startMarker}. The default value of this property is null, meaning no marker
+ * is drawn.
+ *
+ * <p>This property is <i>fixed</i>. See {@link pv.Mark}.
+ *
+ * @type string
+ * @name pv.Line.prototype.endMarker
+ */
+
 /**
  * Default properties for lines. By default, there is no fill and the stroke
  * style is a categorical color. The default interpolation is linear.
@@ -143,7 +286,8 @@ pv.Line.prototype.defaults = new pv.Line()
     .strokeStyle(pv.Colors.category10().by(pv.parent))
     .interpolate("linear")
     .eccentricity(0)
-    .tension(.7);
+    .tension(.7)
+    .beta(.85);
 
 /** @private Reuse Area's implementation for segmented bind & build. */
 pv.Line.prototype.bind = pv.Area.prototype.bind;
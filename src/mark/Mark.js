@@ -75,6 +75,21 @@ pv.Mark.prototype.properties = {};
 /** @private Records the cast function for each property. */
 pv.Mark.cast = {};
 
+/**
+ * @private The cast function for the <tt>strokeDasharray</tt> property.
+ * Returns a string of comma-separated numbers, such as "6,3", given either a
+ * string of numbers separated by commas or spaces, or an array of numbers.
+ * Returns null for solid strokes, such as "none" or the empty array. Strings
+ * are used, rather than arrays, so that equal dash patterns compare equal.
+ *
+ * @param d the dash pattern.
+ * @returns {string} the normalized dash pattern.
+ */
+pv.Mark.dasharray = function(d) {
+  if (typeof d == "string") d = d.match(/[0-9.]+/g) || [];
+  return d.length ? d.map(Number).join(",") : null;
+};
+
 /**
  * @private Defines and registers a property method for the property with the
  * given name.  This method should be called on a mark class prototype to define
@@ -212,9 +227,15 @@ pv.Mark.prototype
     .property("bottom", Number)
     .property("cursor", String)
     .property("title", String)
+    .property("ariaLabel", String)
+    .property("ariaRole", String)
+    .property("description", String)
     .property("reverse", Boolean)
     .property("antialias", Boolean)
-    .property("events", String);
+    .property("events", String)
+    .property("tabIndex", Number)
+    .property("key", String)
+    .property("filter");
 
 /**
  * The mark type; a lower camelCase name. The type name controls rendering
@@ -380,6 +401,46 @@ pv.Mark.prototype.scale = 1;
  * @name pv.Mark.prototype.title
  */
 
+/**
+ * The accessible name of the mark; corresponds to the ARIA aria-label
+ * attribute. Screen readers announce the label in place of the mark's graphics,
+ * so the label should convey the same information as the mark, such as "March:
+ * 42 sales" for a bar. The default value is null; the title, if any, then
+ * serves as the accessible name.
+ *
+ * <p>The label of the root panel names the visualization as a whole. The canvas
+ * renderer does not create an element per instance; only the label of the root
+ * panel is applied, to the canvas element. See {@link pv.Panel#dataTable} for
+ * an accessible alternative that works with any renderer.
+ *
+ * @type string
+ * @name pv.Mark.prototype.ariaLabel
+ * @see <a href="http://www.w3.org/TR/wai-aria/">WAI-ARIA</a>
+ */
+
+/**
+ * The ARIA role of the mark; corresponds to the ARIA role attribute, such as
+ * "img" or "graphics-symbol". The role "presentation" (or "none") hides
+ * decorative marks, such as grid lines, from screen readers; such marks are
+ * also omitted from the data table (see {@link pv.Panel#dataTable}). The
+ * default value is null, meaning that no role is specified.
+ *
+ * @type string
+ * @name pv.Mark.prototype.ariaRole
+ * @see <a href="http://www.w3.org/TR/wai-aria/">WAI-ARIA</a>
+ */
+
+/**
+ * A longer description of the mark, complementing the {@link #ariaLabel};
+ * rendered as an SVG <tt>desc</tt> element. For example, the description of
+ * the root panel might summarize the trend shown by a chart. The canvas
+ * renderer only applies the description of the root panel, as the fallback
+ * content of the canvas element. The default value is null.
+ *
+ * @type string
+ * @name pv.Mark.prototype.description
+ */
+
 /**
  * The events property; corresponds to the SVG pointer-events property,
  * specifying how the mark should participate in mouse events. The default value
@@ -400,6 +461,22 @@ pv.Mark.prototype.scale = 1;
  * @name pv.Mark.prototype.events
  */
 
+/**
+ * The tab index; corresponds to the HTML/SVG tabindex attribute. If non-null,
+ * the mark can receive the keyboard focus, and with it key events, as well as
+ * focus and blur events. A value of zero places the mark in the natural tab
+ * order of the page, while a negative value makes the mark focusable only by
+ * clicking or programmatically, such as with {@link pv.Behavior.navigate}. The
+ * default value is null, meaning that the mark is not focusable.
+ *
+ * <p>The canvas renderer does not create an element per instance; instead, the
+ * canvas itself is focusable if any instance is, and the focused instance then
+ * receives the key events.
+ *
+ * @type number
+ * @name pv.Mark.prototype.tabIndex
+ */
+
 /**
  * The reverse property; a boolean determining whether marks are ordered from
  * front-to-back or back-to-front. SVG does not support explicit z-ordering;
@@ -412,6 +489,50 @@ pv.Mark.prototype.scale = 1;
  * @name pv.Mark.prototype.reverse
  */
 
+/**
+ * The key property; a string that identifies the datum associated with each
+ * instance of this mark. By default, instances are associated with data by
+ * index: when this mark is re-rendered, the <i>i</i>th scene node is reused for
+ * the <i>i</i>th datum. If a key is specified, scene nodes are instead reused
+ * for the datum with the same key, regardless of its index; thus, if the data
+ * is reordered or filtered, each datum retains its scene node, including any
+ * child scene nodes (if this mark is a panel). For example:
+ *
+ * <pre>.key(function(d) d.name)</pre>
+ *
+ * Keys should be unique across the instances of this mark within the enclosing
+ * panel instance. Instances with a null key, or a duplicate key, always create
+ * a new scene node.
+ *
+ * <p>After this mark is built, the scene has three additional attributes:
+ * <tt>enter</tt>, an array of the newly-created scene nodes;
+ * <tt>update</tt>, an array of the reused scene nodes; and <tt>exit</tt>, an
+ * array of the scene nodes that were removed because their datum no longer
+ * exists. Transitions also use the key to match instances; see {@link
+ * pv.Transition}.
+ *
+ * @type string
+ * @name pv.Mark.prototype.key
+ */
+
+/**
+ * The graphical effect applied to this mark, such as a drop shadow or blur; a
+ * {@link pv.Filter}, or null for no effect. For example, to highlight the
+ * selected instance with a glow, and desaturate the others:
+ *
+ * <pre>.filter(function(d) d == selected
+ *     ? pv.filter().glow(3)
+ *     : pv.filter().desaturate(.8))</pre>
+ *
+ * For panels, the effect applies to the panel as a whole, including its
+ * children, rather than to each child separately (though the canvas renderer
+ * applies the effect to each child separately). Filters with the same effects
+ * compare equal, and thus do not cause the mark to be updated when rebuilt.
+ *
+ * @type pv.Filter
+ * @name pv.Mark.prototype.filter
+ */
+
 /**
  * Default properties for all mark types. By default, the data array is the
  * parent data as a single-element array; if the data property is not specified,
@@ -740,10 +861,12 @@ pv.Mark.prototype.render = function() {
        * elements and attributes in the SVG image. No properties are evaluated
        * during the update phase; instead the values computed previously in the
        * build phase are simply translated into SVG. The update phase is
-       * decoupled (see pv.Scene) to allow different rendering engines.
+       * decoupled (see pv.Scene) to allow different rendering engines; the
+       * engine is chosen by the root panel's renderer property.
        */
-      pv.Scene.scale = scale;
-      pv.Scene.updateAll(mark.scene);
+      var engine = pv.Scene.engine(mark.scene);
+      engine.scale = scale;
+      engine.updateAll(mark.scene);
     }
     delete mark.scale;
   }
@@ -799,6 +922,9 @@ pv.Mark.prototype.render = function() {
       parent ? parent.scene : undefined,
       parent ? parent.index : -1,
       function() { render(this.root, 0, 1); });
+
+  /* Update the data tables, if enabled; see pv.Panel#dataTable. */
+  pv.Scene.tables(this.root.scene, this == this.root);
 };
 
 /** @private Stores the current data stack. */
@@ -809,7 +935,7 @@ pv.Mark.stack = [];
  * do not need to be queried during build.
  */
 pv.Mark.prototype.bind = function() {
-  var seen = {}, types = [[], [], [], []], data, visible;
+  var seen = {}, types = [[], [], [], []], data, visible, key;
 
   /** Scans the proto chain for the specified mark. */
   function bind(mark) {
@@ -822,6 +948,7 @@ pv.Mark.prototype.bind = function() {
           switch (p.name) {
             case "data": data = p; break;
             case "visible": visible = p; break;
+            case "key": key = p; break;
             default: types[p.type].push(p); break;
           }
         }
@@ -853,6 +980,7 @@ pv.Mark.prototype.bind = function() {
   this.binds = {
     properties: seen,
     data: data,
+    key: (key && (key.value != null)) ? key : null,
     defs: defs,
     required: [visible],
     optional: pv.blend(types)
@@ -887,9 +1015,12 @@ pv.Mark.prototype.bind = function() {
  * only if true will the {@link #buildInstance} method be called, evaluating
  * other properties and recursively building the scene graph.
  *
- * <p>If this mark is being re-built, any old instances of this mark that no
- * longer exist (because the new data array contains fewer elements) will be
- * cleared using {@link #clearInstance}.
+ * <p>If this mark is being re-built, the old scene nodes are reused: by key,
+ * if the <tt>key</tt> property is defined, and otherwise by index. Any old
+ * scene nodes that are not reused (because the new data array contains fewer
+ * elements, or no longer contains their key) are removed. The scene records
+ * which scene nodes were entering, updating and exiting in its <tt>enter</tt>,
+ * <tt>update</tt> and <tt>exit</tt> attributes; see {@link #key}.
  *
  * @param parent the instance of the parent panel from the scene graph.
  */
@@ -907,34 +1038,71 @@ pv.Mark.prototype.build = function() {
   }
 
   /* Evaluate defs. */
-  if (this.binds.defs.length) {
-    var defs = scene.defs;
-    if (!defs) scene.defs = defs = {};
-    for (var i = 0; i < this.binds.defs.length; i++) {
-      var p = this.binds.defs[i], d = defs[p.name];
-      if (!d || (p.id > d.id)) {
-        defs[p.name] = {
-          id: 0, // this def will be re-evaluated on next build
-          value: (p.type & 1) ? p.value.apply(this, stack) : p.value
-        };
-      }
-    }
-  }
+  this.buildDefs();
 
   /* Evaluate special data property. */
   var data = this.binds.data;
   data = data.type & 1 ? data.value.apply(this, stack) : data.value;
 
-  /* Create, update and delete scene nodes. */
+  /* Index the old scene nodes by key; null and duplicate keys exit. */
+  var key = this.binds.key,
+      enter = scene.enter = [],
+      update = scene.update = [],
+      exit = scene.exit = key ? [] : scene.slice(data.length),
+      nodes;
+  if (key) {
+    nodes = {};
+    for (var i = 0; i < scene.length; i++) {
+      var s = scene[i];
+      if ((s.key == null) || nodes.hasOwnProperty(s.key)) exit.push(s);
+      else nodes[s.key] = s;
+    }
+  }
+
+  /*
+   * Create, update and delete scene nodes. Every property is still evaluated
+   * for every instance; however, until a change is detected, each new value is
+   * compared to the previous value as it is stored (see buildProperties), so
+   * that updating the display can skip this mark if nothing changed; see
+   * pv.Scene.updateAll. Children of a changed panel are always updated, since
+   * their implied properties depend on the panel.
+   */
+  var parent = this.parent,
+      dirty = (exit.length > 0) || Boolean(parent && parent.$changed);
+  if (!this.$implied) this.$implied = [];
   stack.unshift(null);
   scene.length = data.length;
   for (var i = 0; i < data.length; i++) {
     pv.Mark.prototype.index = this.index = i;
     var s = scene[i];
-    if (!s) scene[i] = s = {};
-    s.data = stack[0] = data[i];
+    stack[0] = data[i];
+    if (key) {
+      var k = (key.type & 1) ? key.value.apply(this, stack) : key.value;
+      if (k != null) k = String(k); // as with the property cast
+      if ((k != null) && nodes.hasOwnProperty(k)) {
+        s = nodes[k];
+        delete nodes[k];
+      } else {
+        s = null;
+      }
+      if (s != scene[i]) dirty = true; // reordered
+    }
+    if (s) {
+      update.push(s);
+    } else {
+      enter.push(s = {});
+      dirty = true;
+    }
+    scene[i] = s;
+    if (key) s.key = k;
+    s.data = data[i];
+    this.$changed = dirty;
     this.buildInstance(s);
+    dirty = this.$changed;
   }
+  for (var k in nodes) exit.push(nodes[k]);
+  scene.$dirty = dirty || (exit.length > 0);
+  delete this.$changed;
   pv.Mark.prototype.index = -1;
   delete this.index;
   stack.shift();
@@ -942,6 +1110,45 @@ pv.Mark.prototype.build = function() {
   return this;
 };
 
+/**
+ * @private Returns true if the previous property value <i>a</i> is the same as
+ * the new value <i>b</i>. Colors are compared by value, since they are
+ * typically re-created on every build; likewise, paint servers and filters are
+ * compared by definition. Other values are compared by identity.
+ *
+ * @param a the previous value.
+ * @param b the new value.
+ */
+pv.Mark.same = function(a, b) {
+  return (a === b)
+      || (a && b && (a.color != null)
+        && (a.color == b.color)
+        && (a.opacity == b.opacity))
+      || (a && b && (a.$key != null)
+        && (a.id == b.id)
+        && (a.$key == b.$key));
+};
+
+/**
+ * @private Evaluates the defs for this mark, storing them in the current
+ * {@link #scene}. Defs that have been set explicitly (such as from an event
+ * handler) are preserved; otherwise, defs are re-evaluated on every build.
+ */
+pv.Mark.prototype.buildDefs = function() {
+  if (!this.binds.defs.length) return;
+  var scene = this.scene, defs = scene.defs, stack = pv.Mark.stack;
+  if (!defs) scene.defs = defs = {};
+  for (var i = 0; i < this.binds.defs.length; i++) {
+    var p = this.binds.defs[i], d = defs[p.name];
+    if (!d || (p.id > d.id)) {
+      defs[p.name] = {
+        id: 0, // this def will be re-evaluated on next build
+        value: (p.type & 1) ? p.value.apply(this, stack) : p.value
+      };
+    }
+  }
+};
+
 /**
  * @private Evaluates the specified array of properties for the specified
  * instance <tt>s</tt> in the scene graph.
@@ -957,6 +1164,19 @@ pv.Mark.prototype.buildProperties = function(s, properties) {
       case 1: v = this.scene.defs[p.name].value; break;
       case 3: v = v.apply(this, pv.Mark.stack); break;
     }
+
+    /*
+     * While building (see #build), detect changes. A null value is implied, so
+     * its previous value is compared to the implied value once it is computed.
+     */
+    if (this.$changed === false) {
+      var o = s[p.name];
+      if (v == null) {
+        if (o != null) this.$implied.push(p.name, o);
+      } else if (!pv.Mark.same(o, v)) {
+        this.$changed = true;
+      }
+    }
     s[p.name] = v;
   }
 };
@@ -981,6 +1201,15 @@ pv.Mark.prototype.buildInstance = function(s) {
     this.buildProperties(s, this.binds.optional);
     this.buildImplied(s);
   }
+
+  /* Compare implied values, such as a computed width, after the fact. */
+  var implied = this.$implied;
+  if (implied && implied.length) {
+    for (var i = 0; i < implied.length; i += 2) {
+      if (!pv.Mark.same(implied[i + 1], s[implied[i]])) this.$changed = true;
+    }
+    implied.length = 0;
+  }
 };
 
 /**
@@ -1044,22 +1273,21 @@ pv.Mark.prototype.buildImplied = function(s) {
  * parent. The <i>x</i> coordinate corresponds to the left margin, while the
  * <i>y</i> coordinate corresponds to the top margin.
  *
+ * <p>For touch events, the location of the touch point is returned instead; if
+ * there are multiple touch points, such as during a pinch gesture, their
+ * centroid is returned. Once all touches have ended, the location of the touch
+ * points that ended is returned.
+ *
  * @returns {pv.Vector} the mouse location.
  */
 pv.Mark.prototype.mouse = function() {
 
   /* Compute xy-coordinates relative to the panel. */
-  var x = pv.event.pageX,
-      y = pv.event.pageY,
+  var v = pv.pointer(pv.event),
+      x = v.x,
+      y = v.y,
       n = this.root.canvas();
 
-  // Calculate pageX/Y if missing and clientX/Y available
-  if ( x == undefined && pv.event.clientX != undefined ) {
-    var doc = document.documentElement, body = document.body;
-    x = pv.event.clientX + (doc && doc.scrollLeft || body && body.scrollLeft || 0) - (doc && doc.clientLeft || body && body.clientLeft || 0);
-    y = pv.event.clientY + (doc && doc.scrollTop  || body && body.scrollTop  || 0) - (doc && doc.clientTop  || body && body.clientTop  || 0);
-  }
-
   do {
     x -= n.offsetLeft;
     y -= n.offsetTop;
@@ -1097,6 +1325,27 @@ pv.Mark.prototype.mouse = function() {
  * The return value of the event handler determines which mark gets re-rendered.
  * Use defs ({@link #def}) to set temporary state from event handlers.
  *
+ * <p>The event type may be qualified by a namespace, such as "click.tooltip",
+ * so that several handlers for the same event type can be registered on a
+ * mark. Registering a handler replaces any previous handler with the same type
+ * and namespace, while handlers in other namespaces are kept; the unqualified
+ * type, "click", is its own namespace. When an event is triggered, all the
+ * handlers for its type are invoked in the order they were first registered,
+ * and each distinct mark returned by the handlers is re-rendered once they have
+ * all been invoked. To remove a handler, register null in its place:
+ *
+ * <pre>m.event("click.tooltip", null);</pre>
+ *
+ * A namespace without an event type, such as ".tooltip", removes the handlers
+ * in that namespace for all event types.
+ *
+ * <p>Like properties, event handlers are inherited from prototype marks (see
+ * {@link #extend}); handlers are invoked for the prototypes first, such that a
+ * handler can be shared by all the marks that derive from a prototype. A
+ * handler registered on a derived mark overrides the inherited handler with the
+ * same type and namespace; registering null removes the inherited handler for
+ * the derived mark only.
+ *
  * <p>The complete set of event types is defined by SVG; see the reference
  * below. The set of supported event types is:<ul>
  *
@@ -1106,29 +1355,92 @@ pv.Mark.prototype.mouse = function() {
  * <li>mouseover
  * <li>mousemove
  * <li>mouseout
- *
- * </ul>Since Protovis does not specify any concept of focus, it does not
- * support key events; these should be handled outside the visualization using
- * standard JavaScript. In the future, support for interaction may be extended
- * to support additional event types, particularly those most relevant to
- * interactive visualization, such as selection.
- *
- * <p>TODO In the current implementation, event handlers are not inherited from
- * prototype marks. They must be defined explicitly on each interactive mark. In
- * addition, only one event handler for a given event type can be defined; when
- * specifying multiple event handlers for the same type, only the last one will
- * be used.
+ * <li>touchstart
+ * <li>touchmove
+ * <li>touchend
+ * <li>touchcancel
+ * <li>pointerdown
+ * <li>pointermove
+ * <li>pointerup
+ * <li>pointercancel
+ * <li>keydown
+ * <li>keyup
+ * <li>focus
+ * <li>blur
+ *
+ * </ul>As with the underlying DOM events, touchmove, touchend and touchcancel
+ * events are dispatched to the mark where the touch started, even if the touch
+ * has since moved elsewhere. The location of a touch is available to the
+ * handlers through {@link #mouse}.
+ *
+ * <p>Key events are dispatched to the mark that has the keyboard focus; only
+ * marks with a <tt>tabIndex</tt> can be focused (see {@link #tabIndex}). When
+ * the user presses Enter, the click handlers are invoked after any keydown
+ * handlers, as with buttons, such that the same handler serves both mouse and
+ * keyboard users. Unlike other events, key events are not cancelled when
+ * handled, so as not to interfere with tabbing between marks; to cancel a key
+ * event, call <tt>pv.event.preventDefault()</tt>. See also
+ * {@link pv.Behavior.navigate}, which moves the focus between the instances of
+ * a mark using the arrow keys. In the future, support for interaction may be
+ * extended to support additional event types, particularly those most relevant
+ * to interactive visualization, such as selection.
  *
  * @see <a href="http://www.w3.org/TR/SVGTiny12/interact.html#SVGEvents">SVG events</a>
- * @param {string} type the event type.
- * @param {function} handler the event handler.
+ * @param {string} type the event type, optionally qualified by a namespace.
+ * @param {function} handler the event handler, or null to remove it.
  * @returns {pv.Mark} this.
  */
 pv.Mark.prototype.event = function(type, handler) {
-  this.$handlers[type] = pv.functor(handler);
+  var i = type.indexOf("."),
+      name = (i < 0) ? "" : type.substring(i + 1);
+  if (i >= 0) type = type.substring(0, i);
+
+  /* Remove the namespace for all types defined on the proto chain. */
+  if (!type) {
+    var mark = this;
+    do {
+      for (var t in mark.$handlers) this.event(t + "." + name, null);
+    } while (mark = mark.proto);
+    return this;
+  }
+
+  /* Replace the handler with the same namespace, if any. */
+  var handlers = this.$handlers[type] || (this.$handlers[type] = []),
+      f = (handler == null) ? null : pv.functor(handler);
+  for (var j = 0; j < handlers.length; j++) {
+    if (handlers[j].name == name) {
+      handlers[j].handler = f;
+      return this;
+    }
+  }
+  handlers.push({name: name, handler: f});
   return this;
 };
 
+/**
+ * @private Returns the handlers for the specified event type, including those
+ * inherited from prototype marks, in the order they are invoked.
+ *
+ * @param {string} type the event type.
+ * @returns {function[]} the event handlers.
+ */
+pv.Mark.prototype.listeners = function(type) {
+  var marks = [], mark = this;
+  do { marks.push(mark); } while (mark = mark.proto);
+
+  /* Derived marks override the prototypes' handlers of the same namespace. */
+  var names = {}, listeners = [];
+  while (mark = marks.pop()) {
+    var handlers = mark.$handlers[type];
+    if (handlers) for (var i = 0; i < handlers.length; i++) {
+      var h = handlers[i];
+      if (names.hasOwnProperty(h.name)) listeners[names[h.name]] = h.handler;
+      else names[h.name] = listeners.push(h.handler) - 1;
+    }
+  }
+  return listeners.filter(function(f) { return f; });
+};
+
 /** @private Evaluates the function <i>f</i> with the specified context. */
 pv.Mark.prototype.context = function(scene, index, f) {
   var proto = pv.Mark.prototype,
@@ -1207,13 +1519,17 @@ pv.Mark.prototype.context = function(scene, index, f) {
   }
 };
 
-/** @private Execute the event listener, then re-render. */
+/** @private Execute the event listeners, then re-render. */
 pv.Mark.dispatch = function(type, scene, index) {
-  var m = scene.mark, p = scene.parent, l = m.$handlers[type];
-  if (!l) return p && pv.Mark.dispatch(type, p, scene.parentIndex);
+  var m = scene.mark, p = scene.parent, l = m.listeners(type);
+  if (!l.length) return p && pv.Mark.dispatch(type, p, scene.parentIndex);
   m.context(scene, index, function() {
-      m = l.apply(m, pv.Mark.stack);
-      if (m && m.render) m.render();
+      var marks = [];
+      for (var i = 0; i < l.length; i++) {
+        var r = l[i].apply(m, pv.Mark.stack);
+        if (r && r.render && (marks.indexOf(r) < 0)) marks.push(r);
+      }
+      for (var i = 0; i < marks.length; i++) marks[i].render();
     });
   return true;
 };
@@ -60,9 +60,11 @@ pv.Panel.prototype = pv.extend(pv.Bar)
     .property("overflow", String)
     .property("canvas", function(c) {
         return (typeof c == "string")
-            ? document.getElementById(c)
+            ? pv.document.getElementById(c)
             : c; // assume that c is the passed-in element
-      });
+      })
+    .property("renderer", String)
+    .property("dataTable", Boolean);
 
 pv.Panel.prototype.type = "panel";
 
@@ -82,6 +84,35 @@ pv.Panel.prototype.type = "panel";
  * @name pv.Panel.prototype.canvas
  */
 
+/**
+ * The rendering engine; one of "svg", "vml" or "canvas". If null, the default
+ * engine is used: SVG for browsers that support it, and VML otherwise. The
+ * "canvas" renderer paints the panel into a single HTML 5 <tt>canvas</tt>
+ * element rather than creating an element per mark instance, which is
+ * substantially faster for large numbers of marks; events are still dispatched
+ * to the mark instance under the mouse, but some properties that rely on the
+ * DOM, such as <tt>textShadow</tt>, are ignored. This property only applies to
+ * root panels and is ignored on nested panels.
+ *
+ * @type string
+ * @name pv.Panel.prototype.renderer
+ */
+
+/**
+ * Whether to generate a data table; an accessible alternative to the rendered
+ * image for screen-reader users. If true, the panel's canvas element also
+ * contains a visually-hidden HTML table for each mark, with a row per visible
+ * instance; the columns list the accessible name of the instance (see {@link
+ * pv.Mark#ariaLabel}), its datum, or the fields of its datum if an object, and
+ * its description. Instances whose ARIA role is "presentation" or "none" are
+ * omitted. The tables are regenerated whenever the panel is rendered, and work
+ * with any renderer. This property only applies to root panels and is ignored
+ * on nested panels. The default value is false.
+ *
+ * @type boolean
+ * @name pv.Panel.prototype.dataTable
+ */
+
 /**
  * Specifies whether child marks are clipped when they overflow this panel.
  * This affects the clipping of all this panel's descendant marks.
@@ -255,13 +286,13 @@ pv.Panel.prototype.buildImplied = function(s) {
     } else {
       var cache = this.$canvas || (this.$canvas = []);
       if (!(c = cache[this.index])) {
-        c = cache[this.index] = document.createElement("span");
+        c = cache[this.index] = pv.document.createElement("span");
         if (this.$dom) { // script element for text/javascript+protovis
           this.$dom.parentNode.insertBefore(c, this.$dom);
         } else { // find the last element in the body
-          var n = document.body;
+          var n = pv.document.body;
           while (n.lastChild && n.lastChild.tagName) n = n.lastChild;
-          if (n != document.body) n = n.parentNode;
+          if (n != pv.document.body) n = n.parentNode;
           n.appendChild(c);
         }
       }
@@ -271,3 +302,43 @@ pv.Panel.prototype.buildImplied = function(s) {
   if (!s.transform) s.transform = pv.Transform.identity;
   pv.Mark.prototype.buildImplied.call(this, s);
 };
+
+/**
+ * Returns the contents of the root panel as a standalone SVG document, suitable
+ * for saving as a file. The returned markup declares the SVG and XLink
+ * namespaces, and inlines the implicit font and other styles, such that it does
+ * not depend on the containing page. The root panel must be rendered first;
+ * this method returns null if it has not been rendered or is not visible. Any
+ * renderer may be exported, including canvas.
+ *
+ * <p>If the root panel has multiple instances, only the first visible instance
+ * is exported.
+ *
+ * @returns {string} the SVG markup.
+ * @see #toPNG
+ */
+pv.Panel.prototype.toSVG = function() {
+  var scenes = this.root.scene;
+  return scenes ? pv.SvgScene.serialize(scenes) : null;
+};
+
+/**
+ * Returns the contents of the root panel as a PNG image data URI, suitable for
+ * use as the <tt>src</tt> of an image or as a download link. The image is
+ * rasterized at the specified scale factor <i>k</i>, which defaults to 1; for
+ * example, a 400&times;200 panel exported with a scale factor of 2 results in
+ * an 800&times;400 image. The root panel must be rendered first; this method
+ * returns null if it has not been rendered or is not visible, or if canvas is
+ * not supported, such as when rendering to a headless {@link pv.Document}.
+ *
+ * <p>Images that have not yet loaded are not painted. Also note that browsers
+ * do not allow canvases containing images from other origins to be exported.
+ *
+ * @param {number} [k] the optional scale factor; defaults to 1.
+ * @returns {string} the PNG data URI.
+ * @see #toSVG
+ */
+pv.Panel.prototype.toPNG = function(k) {
+  var scenes = this.root.scene;
+  return scenes ? pv.CanvasScene.rasterize(scenes, (k == null) ? 1 : k) : null;
+};
@@ -50,7 +50,11 @@ pv.Rule.prototype = pv.extend(pv.Mark)
     .property("width", Number)
     .property("height", Number)
     .property("lineWidth", Number)
-    .property("strokeStyle", pv.color);
+    .property("strokeDasharray", pv.Mark.dasharray)
+    .property("strokeDashoffset", Number)
+    .property("strokeStyle", pv.color)
+    .property("startMarker", String)
+    .property("endMarker", String);
 
 pv.Rule.prototype.type = "rule";
 
@@ -80,6 +84,27 @@ pv.Rule.prototype.type = "rule";
  * @name pv.Rule.prototype.lineWidth
  */
 
+/**
+ * The dash pattern of stroked lines, used to stroke the rule; a list of
+ * alternating dash and gap lengths in pixels, such as "6,3" for dashes or "1,3"
+ * for dots. The dash pattern may be specified either as a string of numbers
+ * separated by commas or spaces, or as an array of numbers; it is stored as a
+ * comma-separated string. The default value of this property is null, meaning
+ * lines are solid.
+ *
+ * @type string
+ * @name pv.Rule.prototype.strokeDasharray
+ */
+
+/**
+ * The distance into the dash pattern at which to start stroking, in pixels;
+ * used in conjunction with <tt>strokeDasharray</tt>. The default value of this
+ * property is null, equivalent to zero.
+ *
+ * @type number
+ * @name pv.Rule.prototype.strokeDashoffset
+ */
+
 /**
  * The style of stroked lines; used in conjunction with <tt>lineWidth</tt> to
  * stroke the rule. The default value of this property is black.
@@ -89,6 +114,28 @@ pv.Rule.prototype.type = "rule";
  * @see pv.color
  */
 
+/**
+ * The marker drawn at the start of the rule, such as "arrow"; see {@link
+ * pv.Line.markers} for the supported markers. The marker is sized relative to
+ * the line width and filled with the stroke style. The start of a rule is its
+ * left end, or its top end for vertical rules. Start markers are reversed, such
+ * that an arrow at the start of the rule points away from the rule. The default
+ * value of this property is null, meaning no marker is drawn.
+ *
+ * @type string
+ * @name pv.Rule.prototype.startMarker
+ * @see pv.Line#startMarker
+ */
+
+/**
+ * The marker drawn at the end of the rule, such as "arrow"; see {@link
+ * #startMarker}. The default value of this property is null, meaning no marker
+ * is drawn.
+ *
+ * @type string
+ * @name pv.Rule.prototype.endMarker
+ */
+
 /**
  * Default properties for rules. By default, a single-pixel black line is
  * stroked.
@@ -0,0 +1,55 @@
+/**
+ * Constructs a new transient state for the specified mark. Transient states are
+ * not constructed directly; instead, they are created via {@link pv.Mark#on}.
+ *
+ * @class Represents a transient state of a mark, used by animated transitions
+ * (see {@link pv.Transition}). Marks have two transient states: "enter", the
+ * state from which entering instances are transitioned, and "exit", the state
+ * to which exiting instances are transitioned. Properties defined on a
+ * transient state override those of the mark; all other properties are
+ * evaluated as normal. For example, to have entering bars grow from the
+ * bottom, and exiting bars shrink back, say:
+ *
+ * <pre>vis.add(pv.Bar)
+ *     ...
+ *   .on("enter")
+ *     .height(0)
+ *   .on("exit")
+ *     .height(0);</pre>
+ *
+ * If a mark does not define a transient state, entering and exiting instances
+ * fade in and out, respectively.
+ *
+ * @extends pv.Mark
+ * @param {pv.Mark} mark the mark.
+ */
+pv.Transient = function(mark) {
+  pv.Mark.call(this);
+
+  /**
+   * Returns the specified transient state of the mark that this transient state
+   * belongs to. This allows the enter and exit states to be chained.
+   *
+   * @param {string} state the state name; either "enter" or "exit".
+   * @returns {pv.Transient} the transient state.
+   */
+  this.on = function(state) {
+    return mark.on(state);
+  };
+};
+
+pv.Transient.prototype = pv.extend(pv.Mark);
+
+/**
+ * Returns a new transient state of this mark for the specified state name,
+ * either "enter" or "exit", replacing any existing state with the same name.
+ * The returned state may be used to define the properties of instances as they
+ * enter or exit during a transition.
+ *
+ * @param {string} state the state name; either "enter" or "exit".
+ * @returns {pv.Transient} the new transient state.
+ * @see pv.Transition
+ */
+pv.Mark.prototype.on = function(state) {
+  return this["$" + state] = new pv.Transient(this);
+};
@@ -0,0 +1,418 @@
+/**
+ * Constructs a new transition for the specified mark. Transitions are not
+ * constructed directly; instead, they are created via {@link
+ * pv.Mark#transition}.
+ *
+ * @class Represents an animated transition. Rather than immediately updating
+ * the display to reflect the current property values, as with {@link
+ * pv.Mark#render}, a transition rebuilds the scene graph and then gradually
+ * interpolates each instance from its previous state to its new state. For
+ * example, to animate a bar chart after changing its data:
+ *
+ * <pre>vis.transition()
+ *     .duration(500)
+ *     .ease("elastic-out")
+ *     .start();</pre>
+ *
+ * Numeric properties, such as <tt>left</tt>, <tt>width</tt>,
+ * <tt>outerRadius</tt> and <tt>startAngle</tt>, are interpolated linearly;
+ * colors, such as <tt>fillStyle</tt>, are interpolated in RGB space using
+ * {@link pv.Scale.interpolator}. Since each instance of a line or area is a
+ * point along the path, lines and areas are interpolated point by point. All
+ * other properties, such as <tt>text</tt>, are changed halfway through the
+ * transition; as are gradients (see {@link pv.Color.Gradient}).
+ *
+ * <p>Instances are matched by key, if the mark defines the <tt>key</tt>
+ * property (see {@link pv.Mark#key}), such that instances with the same key
+ * are matched; otherwise, instances are matched by index, and the <i>i</i>th
+ * instance of a mark before the transition is interpolated to the <i>i</i>th
+ * instance after. A key function may also be specified on the transition; see
+ * {@link #key}. Instances
+ * that have no match before the transition are entering, and are interpolated
+ * from the mark's "enter" state; likewise, instances that have no match after
+ * the transition are exiting, and are interpolated to the mark's "exit" state
+ * and then removed. See {@link pv.Mark#on} and {@link pv.Transient}.
+ *
+ * <p>Transitions always apply to the root panel, as the scene graph is rebuilt
+ * from the root; only properties that have changed are interpolated. If the
+ * root panel has not yet been rendered, starting a transition simply renders
+ * it. Starting a new transition stops any transition in progress, and the new
+ * transition starts from the current, intermediate state.
+ *
+ * @param {pv.Mark} mark the mark to transition.
+ */
+pv.Transition = function(mark) {
+  var that = this,
+      root = mark.root,
+      ease = pv.ease("cubic-in-out"),
+      duration = 250,
+      delay = 0,
+      key,
+      timer,
+      before,
+      changes;
+
+  /** @private The default transient state: fade in and out. */
+  var defaults = new pv.Transient()
+      .fillStyle(pv.Color.transparent)
+      .strokeStyle(pv.Color.transparent)
+      .textStyle(pv.Color.transparent);
+
+  /** @private The names of properties that are interpolated. */
+  var interpolated = {
+    left: 1, right: 1, top: 1, bottom: 1, width: 1, height: 1,
+    innerRadius: 1, outerRadius: 1, startAngle: 1, endAngle: 1, angle: 1,
+    angleWidth: 1, radius: 1, size: 1, lineWidth: 1, cornerRadius: 1,
+    tension: 1, beta: 1, eccentricity: 1, textAngle: 1, textMargin: 1,
+    imageWidth: 1, imageHeight: 1,
+    fillStyle: 1, strokeStyle: 1, textStyle: 1
+  };
+
+  /** @private Returns the key of the specified scene node, if any. */
+  function keyOf(s) {
+    return key ? key(s.data) : s.key;
+  }
+
+  /** @private Returns the indexes of the nodes in the given scene, by key. */
+  function keys(scene) {
+    var map = {};
+    for (var i = 0; i < scene.length; i++) {
+      var k = keyOf(scene[i]);
+      if (k != null) map[k] = i;
+    }
+    return map;
+  }
+
+  /** @private Returns the index of the matching node in the given scene. */
+  function match(map, s, i) {
+    var k = keyOf(s);
+    return (k == null) ? i : map[k];
+  }
+
+  /** @private Evaluates the delay for the specified instance, in context. */
+  function delayOf(scene, index) {
+    if (typeof delay != "function") return delay;
+    var d;
+    scene.mark.context(scene, index, function() {
+        d = delay.apply(this, arguments);
+      });
+    root.scene = before;
+    return d || 0;
+  }
+
+  /**
+   * @private Adds an interpolator for the specified property to the list. If
+   * the property is not interpolated, or its values are incompatible, the new
+   * value is applied halfway through the transition.
+   */
+  function interpolateProperty(list, name, before, after, wait) {
+    var a = before[name], b = after[name], f;
+    if ((name in interpolated)
+        && (a != null) && (b != null)
+        && ((typeof a == "number") ? (typeof b == "number")
+          : ((a instanceof pv.Color.Rgb) && (b instanceof pv.Color.Rgb)))) {
+      var i = pv.Scale.interpolator(a, b);
+      f = function(t) { before[name] = i(t); };
+    } else {
+      f = function(t) { if (t > .5) before[name] = b; };
+    }
+    f.delay = wait;
+    list.push(f);
+  }
+
+  /** @private Interpolates the properties of the specified instances. */
+  function interpolateInstance(list, before, after, wait) {
+    for (var name in before) {
+      if (name == "children") continue; // not a property
+      if (before[name] == after[name]) continue; // unchanged
+      interpolateProperty(list, name, before, after, wait);
+    }
+    if (before.children && (before.children != after.children)) {
+      for (var j = 0; j < before.children.length; j++) {
+        interpolate(list, before.children[j], after.children[j], wait);
+      }
+    }
+  }
+
+  /**
+   * @private Interpolates the specified scenes for a single mark, including
+   * any entering and exiting instances. The node interpolated to each instance
+   * after the transition is recorded, such that the scene can be reordered to
+   * match when the transition stops; see cleanup.
+   */
+  function interpolate(list, before, after, wait) {
+    var mark = before.mark,
+        bk = keys(before),
+        ak = keys(after),
+        c = {scene: before, after: after, nodes: [], entered: {}, exit: []};
+    changes.push(c);
+
+    /* Updating and exiting instances. */
+    for (var i = 0; i < before.length; i++) {
+      var b = before[i], j = match(ak, b, i), a = after[j];
+      if (!b.visible) continue;
+      var d = wait + delayOf(before, i);
+      if (a && a.visible) {
+        c.nodes[j] = b;
+      } else {
+        if (a) c.nodes[j] = b; // hidden when stopped
+        else c.exit.push(b);
+        a = override(before, i, mark.$exit);
+      }
+      interpolateInstance(list, b, a, d);
+    }
+
+    /* Entering instances. */
+    for (var i = 0; i < after.length; i++) {
+      var a = after[i], j = match(bk, a, i);
+      if (!a.visible || c.nodes[i]) continue;
+      var o = c.nodes[i] = override(after, i, mark.$enter);
+      c.entered[i] = true;
+      if (before[j]) before[j] = o;
+      else before.push(o);
+      interpolateInstance(list, o, a, wait + delayOf(after, i));
+    }
+  }
+
+  /**
+   * @private Returns a new scene node for the specified instance, with the
+   * properties of the specified transient state applied.
+   */
+  function override(scene, index, state) {
+    var s = pv.extend(scene[index]),
+        m = scene.mark,
+        p = (state || defaults).$properties,
+        seen = {};
+
+    /* Evaluate the transient properties after the mark's properties. */
+    for (var i = 0; i < p.length; i++) seen[p[i].name] = true;
+    p = m.binds.optional.filter(function(p) { return !(p.name in seen); })
+        .concat(p.filter(function(p) { return p.type & 2; }));
+
+    /* Evaluate the properties and update any implied ones. */
+    m.context(scene, index, function() {
+        this.buildDefs();
+        this.buildProperties(s, p);
+        this.buildImplied(s);
+      });
+    root.scene = before;
+    return s;
+  }
+
+  /**
+   * @private Marks the specified scene and its descendants as changed; since
+   * scene nodes are interpolated in place, rather than rebuilt, changes would
+   * not otherwise be detected when updating the display.
+   */
+  function invalidate(scene) {
+    scene.$dirty = true;
+    for (var i = 0; i < scene.length; i++) {
+      var children = scene[i].children;
+      if (children) for (var j = 0; j < children.length; j++) {
+        invalidate(children[j]);
+      }
+    }
+  }
+
+  /**
+   * @private Removes exited instances, hides replaced instances, and reorders
+   * the remaining instances to match the scene graph built by the transition,
+   * recording which were entering, updating and exiting, as if the new scene
+   * graph had been rendered; see pv.Mark#build.
+   */
+  function cleanup() {
+    for (var i = 0; i < changes.length; i++) {
+      var c = changes[i],
+          scene = c.scene,
+          after = c.after,
+          enter = scene.enter = [],
+          update = scene.update = [];
+      scene.exit = c.exit;
+      for (var j = 0; j < after.length; j++) {
+        var s = c.nodes[j] || after[j];
+        if (!after[j].visible) s.visible = false;
+        if (c.entered[j] || !c.nodes[j]) enter.push(s);
+        else update.push(s);
+        scene[j] = s;
+        if (s.children) for (var k = 0; k < s.children.length; k++) {
+          s.children[k].parent = scene;
+          s.children[k].parentIndex = j;
+        }
+      }
+      scene.length = after.length;
+    }
+    changes = null;
+  }
+
+  /**
+   * Sets or gets the easing function. The easing function may be specified
+   * either as a function, or as the name of an easing function (see {@link
+   * pv.ease}). The default easing function is "cubic-in-out".
+   *
+   * @function
+   * @name pv.Transition.prototype.ease
+   * @param {function} x the easing function or name.
+   * @returns {pv.Transition} this, or the current easing function.
+   */
+  this.ease = function(x) {
+    if (arguments.length) {
+      ease = (typeof x == "function") ? x : pv.ease(x);
+      return this;
+    }
+    return ease;
+  };
+
+  /**
+   * Sets or gets the duration of this transition, in milliseconds. The default
+   * duration is 250 milliseconds. The duration does not include any delay.
+   *
+   * @function
+   * @name pv.Transition.prototype.duration
+   * @param {number} x the duration in milliseconds.
+   * @returns {pv.Transition} this, or the current duration.
+   */
+  this.duration = function(x) {
+    if (arguments.length) {
+      duration = Number(x);
+      return this;
+    }
+    return duration;
+  };
+
+  /**
+   * Sets or gets the delay before each instance starts transitioning, in
+   * milliseconds. The delay may be specified as a constant or as a function,
+   * which is evaluated for each instance of every mark as a property function.
+   * For example, to stagger bars from left to right:
+   *
+   * <pre>.delay(function() this.index * 20)</pre>
+   *
+   * Delays of enclosing panels are cumulative. The default delay is zero.
+   *
+   * @function
+   * @name pv.Transition.prototype.delay
+   * @param {number} x the delay in milliseconds, or a function.
+   * @returns {pv.Transition} this, or the current delay.
+   */
+  this.delay = function(x) {
+    if (arguments.length) {
+      delay = x;
+      return this;
+    }
+    return delay;
+  };
+
+  /**
+   * Sets or gets the key function used to match instances before and after
+   * the transition, overriding the <tt>key</tt> property of each mark. The key
+   * function is passed the datum of each instance, and should return a string
+   * that uniquely identifies the instance among the instances of the same
+   * mark; instances for which the key function returns null or undefined are
+   * matched by index. By default, the key function is null, and instances are
+   * matched using the <tt>key</tt> property of each mark, if any.
+   *
+   * @function
+   * @name pv.Transition.prototype.key
+   * @param {function} x the key function.
+   * @returns {pv.Transition} this, or the current key function.
+   */
+  this.key = function(x) {
+    if (arguments.length) {
+      key = x;
+      return this;
+    }
+    return key;
+  };
+
+  /**
+   * Starts this transition. The scene graph is rebuilt using the current
+   * property values, and the display is then updated every 24 milliseconds
+   * until the transition completes.
+   *
+   * @function
+   * @name pv.Transition.prototype.start
+   * @returns {pv.Transition} this.
+   */
+  this.start = function() {
+    before = root.scene;
+
+    /* For the first render, simply render. */
+    if (!before) {
+      root.render();
+      return this;
+    }
+
+    /* Stop any transition in progress. */
+    if (before.$transition) before.$transition.stop();
+    before.$transition = that;
+
+    /* Build the new scene graph, restoring the current one. */
+    var after;
+    root.bind();
+    root.context(null, -1, function() {
+        root.scene = null;
+        root.build();
+        after = root.scene;
+      });
+    root.scene = before;
+
+    /* Create the interpolators. */
+    var list = [], start = Date.now(), end = duration;
+    changes = [];
+    interpolate(list, before, after, 0);
+    for (var i = 0; i < list.length; i++) {
+      end = Math.max(end, list[i].delay + duration);
+    }
+
+    /** @private Advances the transition, updating the display. */
+    function tick() {
+      var elapsed = Date.now() - start;
+      for (var i = 0; i < list.length; i++) {
+        var f = list[i],
+            t = duration ? (elapsed - f.delay) / duration : 1;
+        f(ease(t < 0 ? 0 : (t > 1 ? 1 : t)));
+      }
+      if (elapsed >= end) that.stop();
+      invalidate(before);
+      var engine = pv.Scene.engine(before);
+      engine.scale = 1;
+      engine.updateAll(before);
+    }
+
+    timer = setInterval(tick, 24);
+    tick();
+    return this;
+  };
+
+  /**
+   * Stops this transition, leaving instances in their current state. Any
+   * exiting instances are removed, and the remaining instances are ordered as
+   * the new data.
+   *
+   * @function
+   * @name pv.Transition.prototype.stop
+   * @returns {pv.Transition} this.
+   */
+  this.stop = function() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+      cleanup();
+      if (before.$transition == that) delete before.$transition;
+    }
+    return this;
+  };
+};
+
+/**
+ * Returns a new transition for this mark; see {@link pv.Transition}. The
+ * transition applies to the root panel, and is not started until {@link
+ * pv.Transition#start} is called. For example:
+ *
+ * <pre>vis.transition().duration(1000).start();</pre>
+ *
+ * @returns {pv.Transition} a new transition.
+ */
+pv.Mark.prototype.transition = function() {
+  return new pv.Transition(this);
+};
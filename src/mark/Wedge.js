@@ -29,6 +29,8 @@ pv.Wedge.prototype = pv.extend(pv.Mark)
     .property("innerRadius", Number)
     .property("outerRadius", Number)
     .property("lineWidth", Number)
+    .property("strokeDasharray", pv.Mark.dasharray)
+    .property("strokeDashoffset", Number)
     .property("strokeStyle", pv.color)
     .property("fillStyle", pv.color);
 
@@ -87,6 +89,27 @@ pv.Wedge.prototype.type = "wedge";
  * @name pv.Wedge.prototype.lineWidth
  */
 
+/**
+ * The dash pattern of stroked lines, used to stroke the wedge's border; a list
+ * of alternating dash and gap lengths in pixels, such as "6,3" for dashes or
+ * "1,3" for dots. The dash pattern may be specified either as a string of
+ * numbers separated by commas or spaces, or as an array of numbers; it is
+ * stored as a comma-separated string. The default value of this property is
+ * null, meaning lines are solid.
+ *
+ * @type string
+ * @name pv.Wedge.prototype.strokeDasharray
+ */
+
+/**
+ * The distance into the dash pattern at which to start stroking, in pixels;
+ * used in conjunction with <tt>strokeDasharray</tt>. The default value of this
+ * property is null, equivalent to zero.
+ *
+ * @type number
+ * @name pv.Wedge.prototype.strokeDashoffset
+ */
+
 /**
  * The style of stroked lines; used in conjunction with <tt>lineWidth</tt> to
  * stroke the wedge's border. The default value of this property is null,
@@ -166,16 +189,35 @@ pv.Wedge.prototype.midAngle = function() {
  * @returns {pv.Anchor}
  */
 pv.Wedge.prototype.anchor = function(name) {
-  function partial(s) { return s.innerRadius || s.angle < 2 * Math.PI; }
+  return pv.Wedge.anchor(pv.Mark.prototype.anchor.call(this, name),
+      pv.identity);
+};
+
+/**
+ * @private Positions the specified anchor in polar coordinates, as for wedges;
+ * shared by the radial marks. The function <i>f</i> returns the polar
+ * coordinates of a scene node of the anchor target, as an object with the
+ * <tt>left</tt> and <tt>top</tt> of the center, and <tt>startAngle</tt>,
+ * <tt>endAngle</tt>, <tt>innerRadius</tt> and <tt>outerRadius</tt>. Wedge scene
+ * nodes are their own polar coordinates.
+ *
+ * @param {pv.Anchor} anchor the anchor.
+ * @param {function} f the polar coordinates of a scene node.
+ * @returns {pv.Anchor} the anchor.
+ */
+pv.Wedge.anchor = function(anchor, f) {
+  function partial(s) {
+    return s.innerRadius || (s.endAngle - s.startAngle < 2 * Math.PI);
+  }
   function midRadius(s) { return (s.innerRadius + s.outerRadius) / 2; }
   function midAngle(s) { return (s.startAngle + s.endAngle) / 2; }
   var scene;
-  return pv.Mark.prototype.anchor.call(this, name)
+  return anchor
     .def("$wedge.anchor", function() {
         scene = this.scene.target;
       })
     .left(function() {
-        var s = scene[this.index];
+        var s = f(scene[this.index]);
         if (partial(s)) switch (this.name()) {
           case "outer": return s.left + s.outerRadius * Math.cos(midAngle(s));
           case "inner": return s.left + s.innerRadius * Math.cos(midAngle(s));
@@ -186,7 +228,7 @@ pv.Wedge.prototype.anchor = function(name) {
         return s.left;
       })
     .top(function() {
-        var s = scene[this.index];
+        var s = f(scene[this.index]);
         if (partial(s)) switch (this.name()) {
           case "outer": return s.top + s.outerRadius * Math.sin(midAngle(s));
           case "inner": return s.top + s.innerRadius * Math.sin(midAngle(s));
@@ -197,7 +239,7 @@ pv.Wedge.prototype.anchor = function(name) {
         return s.top;
       })
     .textAlign(function() {
-        var s = scene[this.index];
+        var s = f(scene[this.index]);
         if (partial(s)) switch (this.name()) {
           case "outer": return pv.Wedge.upright(midAngle(s)) ? "right" : "left";
           case "inner": return pv.Wedge.upright(midAngle(s)) ? "left" : "right";
@@ -205,7 +247,7 @@ pv.Wedge.prototype.anchor = function(name) {
         return "center";
       })
     .textBaseline(function() {
-        var s = scene[this.index];
+        var s = f(scene[this.index]);
         if (partial(s)) switch (this.name()) {
           case "start": return pv.Wedge.upright(s.startAngle) ? "top" : "bottom";
           case "end": return pv.Wedge.upright(s.endAngle) ? "bottom" : "top";
@@ -213,7 +255,7 @@ pv.Wedge.prototype.anchor = function(name) {
         return "middle";
       })
     .textAngle(function() {
-        var s = scene[this.index], a = 0;
+        var s = f(scene[this.index]), a = 0;
         if (partial(s)) switch (this.name()) {
           case "center":
           case "inner":
@@ -130,6 +130,57 @@ pv.listener = function(f) {
     });
 };
 
+/**
+ * @private Returns the page locations of the pointers of the specified event:
+ * for touch events, the current touch points, or the touch points that ended if
+ * none remain; otherwise, the location of the mouse (or pointer). Each location
+ * is an object with <tt>x</tt> and <tt>y</tt> attributes.
+ *
+ * @param e a DOM event.
+ * @returns {object[]} the pointer locations, in page coordinates.
+ */
+pv.pointers = function(e) {
+  var t = e.touches;
+  if (t) {
+    if (!t.length) t = e.changedTouches;
+    var points = [];
+    for (var i = 0; i < t.length; i++) {
+      points.push({x: t[i].pageX, y: t[i].pageY});
+    }
+    return points;
+  }
+
+  var x = e.pageX, y = e.pageY;
+
+  /* Calculate pageX/Y if missing and clientX/Y available. */
+  if ((x == undefined) && (e.clientX != undefined)) {
+    var doc = document.documentElement, body = document.body;
+    x = e.clientX
+        + (doc && doc.scrollLeft || body && body.scrollLeft || 0)
+        - (doc && doc.clientLeft || body && body.clientLeft || 0);
+    y = e.clientY
+        + (doc && doc.scrollTop || body && body.scrollTop || 0)
+        - (doc && doc.clientTop || body && body.clientTop || 0);
+  }
+
+  return [{x: x, y: y}];
+};
+
+/**
+ * @private Returns the page location of the pointer of the specified event; for
+ * touch events with multiple touch points, their centroid.
+ *
+ * @param e a DOM event.
+ * @returns {object} the pointer location, in page coordinates.
+ */
+pv.pointer = function(e) {
+  var points = pv.pointers(e);
+  return {
+    x: pv.mean(points, function(p) { return p.x; }),
+    y: pv.mean(points, function(p) { return p.y; })
+  };
+};
+
 /**
  * @private Returns true iff <i>a</i> is an ancestor of <i>e</i>. This is useful
  * for ignoring mouseout and mouseover events that are contained within the
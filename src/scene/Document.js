@@ -0,0 +1,357 @@
+/**
+ * Constructs a new, empty headless document.
+ *
+ * @class Represents a minimal, headless implementation of the DOM. This
+ * document implements just enough of the DOM for the SVG rendering engine,
+ * allowing visualizations to be rendered without a browser, such as in batch
+ * jobs or in automated tests. Rather than being displayed, the rendered
+ * elements are serialized as markup using <tt>toString</tt>. For example:
+ *
+ * <pre>pv.document = new pv.Document();
+ *
+ * var vis = new pv.Panel()
+ *     .width(150)
+ *     .height(150);
+ * ...
+ * vis.render();
+ *
+ * var svg = vis.canvas().firstChild.toString();</pre>
+ *
+ * The serialized SVG element is a standalone SVG document: the SVG and XLink
+ * namespaces are declared on the root element, and titles, fonts and other
+ * attributes are serialized as rendered. Note that since headless elements do
+ * not have a computed style, root panels rendered into a headless document
+ * must specify their width and height explicitly. In addition, images with an
+ * image function require a canvas and thus are not rendered.
+ *
+ * <p>When Protovis is loaded without a global <tt>document</tt>, a headless
+ * document is used automatically; see {@link pv.document}.
+ */
+pv.Document = function() {
+  this.documentElement = this.createElement("html");
+  this.body = this.documentElement.appendChild(this.createElement("body"));
+};
+
+/**
+ * The DOM implementation; reports support for SVG.
+ *
+ * @type object
+ */
+pv.Document.prototype.implementation = {
+  hasFeature: function(feature) {
+    return /^http:\/\/www\.w3\.org\/TR\/SVG11\/feature#/.test(feature);
+  }
+};
+
+/**
+ * Returns a new element with the specified namespace and tag name.
+ *
+ * @param {string} ns the namespace URI, such as {@link pv.SvgScene.svg}.
+ * @param {string} name the tag name, such as "rect".
+ * @returns {pv.Document.Element} a new element.
+ */
+pv.Document.prototype.createElementNS = function(ns, name) {
+  return new pv.Document.Element(this, ns, name);
+};
+
+/**
+ * Returns a new XHTML element with the specified tag name.
+ *
+ * @param {string} name the tag name, such as "span".
+ * @returns {pv.Document.Element} a new element.
+ */
+pv.Document.prototype.createElement = function(name) {
+  return this.createElementNS("http://www.w3.org/1999/xhtml", name);
+};
+
+/**
+ * Returns a new text node with the specified character data.
+ *
+ * @param {string} text the character data.
+ * @returns {pv.Document.Text} a new text node.
+ */
+pv.Document.prototype.createTextNode = function(text) {
+  return new pv.Document.Text(this, text);
+};
+
+/**
+ * Returns the element in this document with the specified id attribute, or
+ * null if there is no such element.
+ *
+ * @param {string} id the element id.
+ * @returns {pv.Document.Element} the element, or null.
+ */
+pv.Document.prototype.getElementById = function(id) {
+  function find(e) {
+    if (e.getAttribute && (e.getAttribute("id") == id)) return e;
+    for (var c = e.firstChild, f; c; c = c.nextSibling) {
+      if (f = find(c)) return f;
+    }
+    return null;
+  }
+  return find(this.documentElement);
+};
+
+/** @private Escapes the specified string for use in markup. */
+pv.Document.escape = function(s) {
+  return String(s)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+};
+
+/** @private The prefixes of the supported attribute namespaces. */
+pv.Document.prefixes = {
+  "http://www.w3.org/1999/xlink": "xlink",
+  "http://www.w3.org/2000/xmlns": "xmlns"
+};
+
+/**
+ * @private Constructs a new node. Nodes are not constructed directly; use the
+ * factory methods of {@link pv.Document} instead.
+ *
+ * @class Represents a node in a headless document.
+ * @param {pv.Document} document the owner document.
+ */
+pv.Document.Node = function(document) {
+  this.ownerDocument = document;
+  this.parentNode = null;
+  this.firstChild = null;
+  this.lastChild = null;
+  this.previousSibling = null;
+  this.nextSibling = null;
+};
+
+/**
+ * Appends the specified child node to this node, first removing it from its
+ * current parent if any.
+ *
+ * @param n the child node.
+ * @returns the child node.
+ */
+pv.Document.Node.prototype.appendChild = function(n) {
+  return this.insertBefore(n, null);
+};
+
+/**
+ * Inserts the specified child node before the reference node <i>r</i>, first
+ * removing it from its current parent if any. If <i>r</i> is null, the child
+ * node is appended.
+ *
+ * @param n the child node.
+ * @param r the reference child node, or null.
+ * @returns the child node.
+ */
+pv.Document.Node.prototype.insertBefore = function(n, r) {
+  if (n.parentNode) n.parentNode.removeChild(n);
+  n.parentNode = this;
+  n.nextSibling = r;
+  n.previousSibling = r ? r.previousSibling : this.lastChild;
+  if (n.previousSibling) n.previousSibling.nextSibling = n;
+  else this.firstChild = n;
+  if (r) r.previousSibling = n;
+  else this.lastChild = n;
+  return n;
+};
+
+/**
+ * Removes the specified child node from this node.
+ *
+ * @param n the child node.
+ * @returns the removed node.
+ */
+pv.Document.Node.prototype.removeChild = function(n) {
+  if (n.previousSibling) n.previousSibling.nextSibling = n.nextSibling;
+  else this.firstChild = n.nextSibling;
+  if (n.nextSibling) n.nextSibling.previousSibling = n.previousSibling;
+  else this.lastChild = n.previousSibling;
+  n.parentNode = n.previousSibling = n.nextSibling = null;
+  return n;
+};
+
+/**
+ * Replaces the child node <i>o</i> with the node <i>n</i>.
+ *
+ * @param n the new child node.
+ * @param o the old child node.
+ * @returns the old child node.
+ */
+pv.Document.Node.prototype.replaceChild = function(n, o) {
+  this.insertBefore(n, o);
+  return this.removeChild(o);
+};
+
+/** Does nothing; headless nodes do not receive events. */
+pv.Document.Node.prototype.addEventListener = function() {};
+
+/** Does nothing; headless nodes do not receive events. */
+pv.Document.Node.prototype.removeEventListener = function() {};
+
+/**
+ * @private Constructs a new element. Elements are not constructed directly;
+ * use {@link pv.Document#createElementNS} instead.
+ *
+ * @class Represents an element in a headless document. Elements support
+ * attributes (including namespaced attributes), a style map and serialization
+ * to markup.
+ * @extends pv.Document.Node
+ * @param {pv.Document} document the owner document.
+ * @param {string} ns the namespace URI.
+ * @param {string} name the tag name.
+ */
+pv.Document.Element = function(document, ns, name) {
+  pv.Document.Node.call(this, document);
+  this.namespaceURI = ns;
+  this.tagName = name;
+  this.attributes = {};
+  this.style = new pv.Document.Style();
+};
+
+pv.Document.Element.prototype = pv.extend(pv.Document.Node);
+
+/** The node type; 1 for elements. */
+pv.Document.Element.prototype.nodeType = 1;
+
+/**
+ * Sets the attribute with the specified name to the specified value.
+ *
+ * @param {string} name the attribute name.
+ * @param value the attribute value.
+ */
+pv.Document.Element.prototype.setAttribute = function(name, value) {
+  this.attributes[name] = String(value);
+};
+
+/**
+ * Sets the attribute with the specified namespace and name to the specified
+ * value. Only the XLink and XMLNS namespaces are supported.
+ *
+ * @param {string} ns the namespace URI.
+ * @param {string} name the attribute name.
+ * @param value the attribute value.
+ */
+pv.Document.Element.prototype.setAttributeNS = function(ns, name, value) {
+  this.setAttribute((ns in pv.Document.prefixes)
+      ? pv.Document.prefixes[ns] + ":" + name
+      : name, value);
+};
+
+/**
+ * Returns the value of the attribute with the specified name, or null.
+ *
+ * @param {string} name the attribute name.
+ * @returns {string} the attribute value, or null.
+ */
+pv.Document.Element.prototype.getAttribute = function(name) {
+  return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+};
+
+/**
+ * Removes the attribute with the specified name.
+ *
+ * @param {string} name the attribute name.
+ */
+pv.Document.Element.prototype.removeAttribute = function(name) {
+  delete this.attributes[name];
+};
+
+/**
+ * Returns the markup for this element and its descendants. If the namespace of
+ * this element differs from that of its parent (or if this element has no
+ * parent), the namespace is declared; in addition, the XLink namespace is
+ * declared on SVG elements, such that the returned markup is a standalone
+ * document.
+ *
+ * @returns {string} the serialized element.
+ */
+pv.Document.Element.prototype.toString = function() {
+  var s = "<" + this.tagName, p = this.parentNode;
+  if (!p || (p.namespaceURI != this.namespaceURI)) {
+    s += " xmlns=\"" + this.namespaceURI + "\"";
+    if (this.namespaceURI == "http://www.w3.org/2000/svg") {
+      s += " xmlns:xlink=\"http://www.w3.org/1999/xlink\"";
+    }
+  }
+  for (var name in this.attributes) {
+    s += " " + name + "=\"" + pv.Document.escape(this.attributes[name]) + "\"";
+  }
+  var style = this.style.toString();
+  if (style) s += " style=\"" + pv.Document.escape(style) + "\"";
+  if (!this.firstChild) return s + "/>";
+  s += ">";
+  for (var c = this.firstChild; c; c = c.nextSibling) s += c.toString();
+  return s + "</" + this.tagName + ">";
+};
+
+/**
+ * @private Constructs a new text node. Text nodes are not constructed directly;
+ * use {@link pv.Document#createTextNode} instead.
+ *
+ * @class Represents character data in a headless document.
+ * @extends pv.Document.Node
+ * @param {pv.Document} document the owner document.
+ * @param {string} text the character data.
+ */
+pv.Document.Text = function(document, text) {
+  pv.Document.Node.call(this, document);
+  this.nodeValue = text;
+};
+
+pv.Document.Text.prototype = pv.extend(pv.Document.Node);
+
+/** The node type; 3 for text nodes. */
+pv.Document.Text.prototype.nodeType = 3;
+
+/**
+ * Returns the escaped character data of this text node.
+ *
+ * @returns {string} the serialized text.
+ */
+pv.Document.Text.prototype.toString = function() {
+  return pv.Document.escape(this.nodeValue);
+};
+
+/**
+ * @private Constructs a new, empty style map.
+ *
+ * @class Represents the inline style of an element in a headless document. CSS
+ * properties are stored as fields on this object, using their hyphenated names
+ * (such as "text-decoration").
+ */
+pv.Document.Style = function() {};
+
+/**
+ * Removes the specified CSS property.
+ *
+ * @param {string} name the CSS property name.
+ */
+pv.Document.Style.prototype.removeProperty = function(name) {
+  delete this[name];
+};
+
+/**
+ * Returns the CSS declarations for this style, such as "font:bold 12px serif".
+ *
+ * @returns {string} the serialized style.
+ */
+pv.Document.Style.prototype.toString = function() {
+  var s = [];
+  for (var name in this) {
+    if (this.hasOwnProperty(name)) s.push(name + ":" + this[name]);
+  }
+  return s.join(";");
+};
+
+/**
+ * The document used to create elements when rendering. In browsers, this is
+ * the global <tt>document</tt>; if there is no global document, this defaults
+ * to a new headless {@link pv.Document}. To render headless in a browser, say
+ *
+ * <pre>pv.document = new pv.Document();</pre>
+ *
+ * before rendering.
+ *
+ * @type pv.Document
+ */
+pv.document = (typeof document == "undefined") ? new pv.Document() : document;
@@ -2,16 +2,47 @@
  * @private
  * @namespace
  */
-pv.Scene = document.implementation.hasFeature(
+pv.Scene = pv.document.implementation.hasFeature(
     "http://www.w3.org/TR/SVG11/feature#BasicStructure", "1.1")
     ? pv.SvgScene : pv.VmlScene;
 
 /**
- * Updates the display for the specified array of scene nodes.
+ * Updates the display for the specified array of scene nodes. If the scene
+ * nodes have not changed since they were last rendered into the same group
+ * element at the same scale, the update is skipped, leaving the existing
+ * elements untouched. Changes are detected when the mark is built, by comparing
+ * each evaluated property to its previous value (see {@link pv.Mark#build});
+ * properties are not skipped. Panels are always updated, since their children
+ * may have changed. Definitions referenced by skipped scene nodes, such as
+ * gradients, are retained.
  *
  * @param scenes {array} an array of scene nodes.
  */
 pv.Scene.updateAll = function(scenes) {
+  var g = scenes.$g;
+  if ((scenes.type != "panel")
+      && !scenes.$dirty
+      && g && (g.$scenes == scenes)
+      && (scenes.$scale == this.scale)) {
+    for (var id in scenes.$refs) this.reference(scenes, 0, id); // see prune
+    return;
+  }
+  scenes.$refs = null;
+  this.removeSiblings(this[scenes.type](pv.Scene.order(scenes)));
+  if (g) g.$scenes = scenes;
+  scenes.$scale = this.scale;
+  scenes.$dirty = false;
+};
+
+/**
+ * @private Returns the specified array of scene nodes in rendering order. If
+ * the <tt>reverse</tt> property is set, a reversed view of the array is
+ * returned; lines and areas are never reversed, since their instances together
+ * form a single element.
+ *
+ * @param scenes {array} an array of scene nodes.
+ */
+pv.Scene.order = function(scenes) {
   if (scenes.length
       && scenes[0].reverse
       && (scenes.type != "line")
@@ -22,7 +53,156 @@ pv.Scene.updateAll = function(scenes) {
     }
     scenes = reversed;
   }
-  this.removeSiblings(this[scenes.type](scenes));
+  return scenes;
+};
+
+/**
+ * @private Returns the rendering engine for the specified array of scene nodes.
+ * The engine is determined by the <tt>renderer</tt> property of the root panel;
+ * if the renderer is not specified, the default engine (either SVG or VML,
+ * depending on browser support) is used.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @see pv.Panel#renderer
+ */
+pv.Scene.engine = function(scenes) {
+  while (scenes.parent) scenes = scenes.parent;
+  switch (scenes.length && scenes[0].renderer) {
+    case "canvas": return pv.CanvasScene;
+    case "svg": return pv.SvgScene;
+    case "vml": return pv.VmlScene;
+  }
+  return pv.Scene;
+};
+
+/**
+ * @private Updates the data tables of the specified root panel's scene nodes,
+ * as enabled by the <tt>dataTable</tt> property. For each visible instance of
+ * the root panel, the tables are placed in a visually-hidden <tt>div</tt>
+ * element following the rendered image in the panel's canvas element, and are
+ * regenerated whenever the panel is rendered. If only part of the scene was
+ * rendered, instances without tables are skipped, since any stale tables were
+ * already removed when the root panel was last rendered.
+ *
+ * @param scenes {array} the scene nodes of the root panel.
+ * @param {boolean} root whether the root panel was rendered.
+ * @see pv.Panel#dataTable
+ */
+pv.Scene.tables = function(scenes, root) {
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i], c = s.canvas, e = c && c.$table;
+    if (!root && !s.dataTable) continue;
+    if (e && (e.parentNode != c)) e = null; // the container was cleared
+    if (!s.visible || !s.dataTable) {
+      if (e) c.removeChild(e);
+      if (c) delete c.$table;
+      continue;
+    }
+    if (!e) {
+      e = c.$table = c.appendChild(pv.document.createElement("div"));
+      e.style.position = "absolute";
+      e.style.width = e.style.height = "1px";
+      e.style.margin = "-1px";
+      e.style.padding = e.style.border = "0";
+      e.style.overflow = "hidden";
+      e.style.clip = "rect(0 0 0 0)";
+      e.style["white-space"] = "nowrap";
+    }
+    while (e.lastChild) e.removeChild(e.lastChild);
+    this.appendTables(e, s.children);
+  }
+};
+
+/**
+ * @private Appends a data table to the element <i>e</i> for each of the
+ * specified child scenes, descending into the visible instances of panels.
+ */
+pv.Scene.appendTables = function(e, children) {
+  for (var i = 0; i < children.length; i++) {
+    var scenes = children[i];
+    if (scenes.type == "panel") {
+      for (var j = 0; j < scenes.length; j++) {
+        if (scenes[j].visible) this.appendTables(e, scenes[j].children);
+      }
+    } else {
+      var t = this.table(scenes);
+      if (t) e.appendChild(t);
+    }
+  }
+};
+
+/**
+ * @private Returns an HTML table summarizing the specified scene nodes, with a
+ * row per visible instance, or null if there are no such instances. Instances
+ * whose ARIA role is "presentation" or "none" are omitted. The columns are the
+ * accessible name of the instance (its ARIA label, title or text), if any; the
+ * fields of the datum if it is an object, or otherwise the datum itself; and
+ * the description, if any.
+ *
+ * @param scenes {array} an array of scene nodes.
+ */
+pv.Scene.table = function(scenes) {
+  var rows = [], named, described, keys;
+
+  /** @private Returns the accessible name of the scene node. */
+  function name(s) {
+    return s.ariaLabel || s.title || s.text;
+  }
+
+  /** @private Returns the string representation of the value. */
+  function format(v) {
+    return (v == null) ? "" : (v instanceof Array) ? v.join(", ") : String(v);
+  }
+
+  /** @private Appends a cell with the specified text to the row. */
+  function cell(tr, tag, text) {
+    var c = tr.appendChild(pv.document.createElement(tag));
+    c.appendChild(pv.document.createTextNode(text));
+    return c;
+  }
+
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+    if (!s.visible || (s.ariaRole == "presentation")
+        || (s.ariaRole == "none")) continue;
+    if (name(s)) named = true;
+    if (s.description) described = true;
+    rows.push(s);
+  }
+  if (!rows.length) return null;
+
+  var d = rows[0].data;
+  keys = (d && (typeof d == "object")
+      && !(d instanceof Date)
+      && !(d instanceof Array)) ? pv.keys(d) : null;
+
+  var table = pv.document.createElement("table");
+  cell(table, "caption", scenes.type);
+  var thead = table.appendChild(pv.document.createElement("thead")),
+      tbody = table.appendChild(pv.document.createElement("tbody")),
+      tr = thead.appendChild(pv.document.createElement("tr"));
+  if (named) cell(tr, "th", "label");
+  if (keys) for (var j = 0; j < keys.length; j++) cell(tr, "th", keys[j]);
+  else cell(tr, "th", "value");
+  if (described) cell(tr, "th", "description");
+  for (var c = tr.firstChild; c; c = c.nextSibling) {
+    c.setAttribute("scope", "col");
+  }
+
+  for (var i = 0; i < rows.length; i++) {
+    var s = rows[i];
+    tr = tbody.appendChild(pv.document.createElement("tr"));
+    if (named) cell(tr, "th", format(name(s))).setAttribute("scope", "row");
+    if (keys) {
+      for (var j = 0; j < keys.length; j++) {
+        cell(tr, "td", format(s.data == null ? null : s.data[keys[j]]));
+      }
+    } else {
+      cell(tr, "td", format(s.data));
+    }
+    if (described) cell(tr, "td", format(s.description));
+  }
+  return table;
 };
 
 /** @private Remove siblings following element <i>e</i>. */
@@ -0,0 +1,33 @@
+pv.CanvasScene.area = function(scenes) {
+  if (!scenes.length) return;
+  var s = scenes[0];
+
+  /* segmented */
+  if (s.segmented) return this.areaSegment(scenes);
+
+  /* visible */
+  if (!s.visible) return;
+  var fill = s.fillStyle, stroke = s.strokeStyle;
+  if (!fill.opacity && !stroke.opacity) return;
+
+  /* points */
+  var d = this.areaPath(scenes);
+  if (!d) return;
+
+  this.draw(scenes, 0, fill, stroke, new Path2D(d));
+};
+
+pv.CanvasScene.areaSegment = function(scenes) {
+  var paths = this.areaSegmentPaths(scenes);
+
+  for (var i = 0, n = scenes.length; i < paths.length; i++) {
+    var s1 = scenes[i], s2 = scenes[(i + 1) % n];
+
+    /* visible */
+    if (!s1.visible || !s2.visible) continue;
+    var fill = s1.fillStyle, stroke = s1.strokeStyle;
+    if (!fill.opacity && !stroke.opacity) continue;
+
+    this.draw(scenes, i, fill, stroke, new Path2D(paths[i]));
+  }
+};
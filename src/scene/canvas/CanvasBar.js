@@ -0,0 +1,12 @@
+pv.CanvasScene.bar = function(scenes) {
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+
+    /* visible */
+    if (!s.visible) continue;
+    var fill = s.fillStyle, stroke = s.strokeStyle;
+    if (!fill.opacity && !stroke.opacity) continue;
+
+    this.draw(scenes, i, fill, stroke, this.rectPath(s));
+  }
+};
@@ -0,0 +1,67 @@
+pv.CanvasScene.dot = function(scenes) {
+  var g = this.context;
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+
+    /* visible */
+    if (!s.visible) continue;
+    var fill = s.fillStyle, stroke = s.strokeStyle;
+    if (!fill.opacity && !stroke.opacity) continue;
+
+    g.save();
+    g.translate(s.left, s.top);
+    if (s.angle) g.rotate(s.angle);
+    g.beginPath();
+
+    /* points */
+    var radius = s.radius, d = pv.Dot.symbol(s), path;
+    if (d != null) path = new Path2D(d);
+    else switch (s.shape) {
+      case "cross": {
+        g.moveTo(-radius, -radius);
+        g.lineTo(radius, radius);
+        g.moveTo(radius, -radius);
+        g.lineTo(-radius, radius);
+        break;
+      }
+      case "triangle": {
+        var h = radius, w = radius * 1.1547; // 2 / Math.sqrt(3)
+        g.moveTo(0, h);
+        g.lineTo(w, -h);
+        g.lineTo(-w, -h);
+        g.closePath();
+        break;
+      }
+      case "diamond": {
+        radius *= Math.SQRT2;
+        g.moveTo(0, -radius);
+        g.lineTo(radius, 0);
+        g.lineTo(0, radius);
+        g.lineTo(-radius, 0);
+        g.closePath();
+        break;
+      }
+      case "square": {
+        g.rect(-radius, -radius, 2 * radius, 2 * radius);
+        break;
+      }
+      case "tick": {
+        g.moveTo(0, 0);
+        g.lineTo(0, -s.size);
+        break;
+      }
+      case "bar": {
+        g.moveTo(0, s.size / 2);
+        g.lineTo(0, -s.size / 2);
+        break;
+      }
+      default: { // circle
+        g.arc(0, 0, radius, 0, 2 * Math.PI, false);
+        break;
+      }
+    }
+
+    this.draw(scenes, i, fill, stroke, path);
+    g.restore();
+  }
+};
@@ -0,0 +1,71 @@
+pv.CanvasScene.image = function(scenes) {
+  var g = this.context;
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+
+    /* visible */
+    if (!s.visible) continue;
+
+    /* fill */
+    this.fill(scenes, i);
+
+    /* image; picked using its bounds, as if opaque */
+    if (this.picking) {
+      var path = this.rectPath(s);
+      this.draw(scenes, i, pv.rgb(0, 0, 0), pv.Color.transparent, path);
+    } else {
+      g.save();
+      if (s.cornerRadius) { // clip to the rounded corners
+        var path = this.rectPath(s);
+        if (path) g.clip(path); else g.clip();
+      }
+      if (s.image) {
+        var c = this.buffer || (this.buffer = pv.document.createElement("canvas"));
+        c.width = s.imageWidth;
+        c.height = s.imageHeight;
+        c.getContext("2d").putImageData(s.image, 0, 0);
+        this.drawImage(c, s, s.imageWidth, s.imageHeight);
+      } else {
+        var image = this.loadImage(s.url, scenes);
+        if (image.complete && image.naturalWidth) {
+          this.drawImage(image, s,
+              (s.imageWidth != null) ? s.imageWidth : image.naturalWidth,
+              (s.imageHeight != null) ? s.imageHeight : image.naturalHeight);
+        }
+      }
+      g.restore();
+    }
+
+    /* stroke */
+    this.stroke(scenes, i);
+  }
+};
+
+/**
+ * @private Draws the specified image source, such as an image or canvas
+ * element, for the specified image instance, given the intrinsic width
+ * <i>w</i> and height <i>h</i> of the image; see {@link pv.Image.layout}.
+ */
+pv.CanvasScene.drawImage = function(source, s, w, h) {
+  var g = this.context, b = pv.Image.layout(s, w, h);
+  g.globalAlpha = 1;
+  if (s.imageFit == "none") {
+    g.drawImage(source, s.left, s.top, s.width, s.height);
+    return;
+  }
+  g.beginPath();
+  g.rect(s.left, s.top, s.width, s.height);
+  g.clip();
+  if (s.imageFit == "tile") {
+    if (!(b.width > 0) || !(b.height > 0)) return;
+    var x0 = b.x - Math.ceil(b.x / b.width) * b.width,
+        y0 = b.y - Math.ceil(b.y / b.height) * b.height;
+    for (var y = y0; y < s.height; y += b.height) {
+      for (var x = x0; x < s.width; x += b.width) {
+        g.drawImage(source, s.left + x, s.top + y, b.width, b.height);
+      }
+    }
+  } else {
+    g.drawImage(source, s.left + b.x, s.top + b.y, b.width, b.height);
+  }
+};
@@ -0,0 +1,57 @@
+pv.CanvasScene.label = function(scenes) {
+  var g = this.context;
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+
+    /* visible */
+    if (!s.visible) continue;
+    var fill = s.textStyle;
+    if (!fill.opacity || !s.text) continue;
+
+    /* text-baseline, text-align */
+    var lines = pv.Label.lines(s),
+        h = pv.Text.fontSize(s.font) * s.textLineHeight,
+        n = lines.length - 1,
+        x = 0, y = 0, baseline = "alphabetic", align = "left";
+    switch (s.textBaseline) {
+      case "middle": baseline = "middle"; y = -n * h / 2; break;
+      case "top": baseline = "top"; y = s.textMargin; break;
+      case "bottom": y = -s.textMargin - n * h; break;
+    }
+    switch (s.textAlign) {
+      case "right": align = "right"; x = -s.textMargin; break;
+      case "center": align = "center"; break;
+      case "left": x = s.textMargin; break;
+    }
+
+    g.save();
+    g.translate(s.left, s.top);
+    if (s.textAngle) g.rotate(s.textAngle);
+    if (this.scale != 1) g.scale(1 / this.scale, 1 / this.scale);
+    g.font = s.font;
+    g.textAlign = align;
+    g.textBaseline = baseline;
+    if (!this.picking) {
+      var f = this.filter(s);
+      if (f) g.filter = f;
+    }
+
+    /* Labels are picked using their bounding box. */
+    if (this.picking) {
+      g.beginPath();
+      for (var j = 0; j < lines.length; j++) {
+        var m = g.measureText(lines[j]);
+        g.rect(x - m.actualBoundingBoxLeft,
+            y + j * h - m.actualBoundingBoxAscent,
+            m.actualBoundingBoxLeft + m.actualBoundingBoxRight,
+            m.actualBoundingBoxAscent + m.actualBoundingBoxDescent);
+      }
+      this.draw(scenes, i, fill, pv.Color.transparent);
+    } else {
+      g.globalAlpha = fill.opacity;
+      g.fillStyle = this.style(fill, scenes, i);
+      for (var j = 0; j < lines.length; j++) g.fillText(lines[j], x, y + j * h);
+    }
+    g.restore();
+  }
+};
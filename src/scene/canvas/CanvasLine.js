@@ -0,0 +1,60 @@
+pv.CanvasScene.line = function(scenes) {
+  if (scenes.length < 2) return;
+  var s = scenes[0];
+
+  /* segmented */
+  if (s.segmented) return this.lineSegment(scenes);
+
+  /* visible */
+  if (!s.visible) return;
+  var fill = s.fillStyle, stroke = s.strokeStyle;
+  if (!fill.opacity && !stroke.opacity) return;
+
+  var d = this.linePath(scenes);
+  this.draw(scenes, 0, fill, stroke, new Path2D(d));
+  this.markers(scenes, 0, d);
+};
+
+pv.CanvasScene.lineSegment = function(scenes) {
+  /* closed interpolations have an extra segment, from the last point */
+  var n = scenes.length,
+      paths = this.curveSegments(scenes, scenes[0]),
+      m = paths ? paths.length : n - 1;
+
+  /* fills, underneath all strokes */
+  for (var i = 0; i < m; i++) {
+    var s1 = scenes[i], s2 = scenes[(i + 1) % n];
+
+    /* visible */
+    if (!s1.visible || !s2.visible) continue;
+    var fill = s1.fillStyle;
+    if (!fill.opacity) continue;
+
+    this.draw(scenes, i, fill, pv.Color.transparent,
+        new Path2D(this.lineSegmentFill(scenes, i, paths)));
+  }
+
+  for (var i = 0; i < m; i++) {
+    var s1 = scenes[i], s2 = scenes[(i + 1) % n];
+
+    /* visible */
+    if (!s1.visible || !s2.visible) continue;
+    var stroke = s1.strokeStyle, fill = pv.Color.transparent;
+    if (!stroke.opacity) continue;
+
+    /* interpolate */
+    var d;
+    if ((s1.interpolate == "linear") && (s1.lineJoin == "miter")
+        && !s1.strokeDasharray) {
+      fill = stroke;
+      stroke = pv.Color.transparent;
+      d = this.pathJoin(scenes[i - 1], s1, s2, scenes[i + 2]);
+    } else if (paths) {
+      d = paths[i];
+    } else {
+      d = "M" + s1.left + "," + s1.top + this.pathSegment(s1, s2);
+    }
+
+    this.draw(scenes, i, fill, stroke, new Path2D(d));
+  }
+};
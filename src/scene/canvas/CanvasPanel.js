@@ -0,0 +1,100 @@
+pv.CanvasScene.panel = function(scenes) {
+  var g = this.context, p = this.picking;
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+
+    /* visible */
+    if (!s.visible) continue;
+
+    /* canvas */
+    if (!scenes.parent) {
+      var r = this.raster;
+      if (r) {
+        if (i != r.index) continue;
+        g = this.context = r.context;
+        g.setTransform(r.scale, 0, 0, r.scale, 0, 0);
+      } else {
+        var c = this.canvas(s);
+        if (p) {
+          if (c != p.canvas) continue;
+        } else {
+          s.canvas.style.display = "inline-block";
+          c.$scene = {scenes:scenes, index:i};
+          c.width = s.width + s.left + s.right; // also clears the canvas
+          c.height = s.height + s.top + s.bottom;
+          this.aria(c, s);
+          this.focusable = null;
+        }
+        g = this.context = c.getContext("2d");
+        g.setTransform(1, 0, 0, 1, 0, 0);
+      }
+    }
+    g.save();
+
+    /* filter */
+    var f = p ? null : this.filter(s);
+    if (f) g.filter = f;
+
+    /* clip */
+    if (s.overflow == "hidden") {
+      var path = this.rectPath(s);
+      if (path) g.clip(path); else g.clip();
+    }
+
+    /* fill */
+    this.fill(scenes, i);
+
+    /* transform (push) */
+    var k = this.scale,
+        t = s.transform;
+    this.scale *= t.k;
+    g.save();
+    g.translate(s.left + t.x, s.top + t.y);
+    if (t.k != 1) g.scale(t.k, t.k);
+
+    /* children */
+    for (var j = 0; j < s.children.length; j++) {
+      this.paint(s.children[j]);
+    }
+
+    /* transform (pop) */
+    g.restore();
+    this.scale = k;
+
+    /* stroke */
+    this.stroke(scenes, i);
+
+    g.restore();
+
+    /* focus; the canvas is focusable if any node is */
+    if (!scenes.parent && !r && !p) {
+      var node = c.$focusable = this.focusable;
+      if (node) c.setAttribute("tabindex", node.scenes[node.index].tabIndex);
+      else c.removeAttribute("tabindex");
+    }
+  }
+};
+
+pv.CanvasScene.fill = function(scenes, i) {
+  var s = scenes[i];
+  this.draw(scenes, i, s.fillStyle, pv.Color.transparent, this.rectPath(s));
+};
+
+pv.CanvasScene.stroke = function(scenes, i) {
+  var s = scenes[i], p = this.picking;
+
+  /* As with SVG, only the stroke is picked on top of the children. */
+  if (p && (s.events == "all")) {
+    var g = this.context, path = this.rectPath(s);
+    g.lineWidth = s.lineWidth / this.scale;
+    if (g.isPointInStroke && (path
+        ? g.isPointInStroke(path, p.x, p.y)
+        : g.isPointInStroke(p.x, p.y))) {
+      p.scenes = scenes;
+      p.index = i;
+    }
+    return;
+  }
+
+  this.draw(scenes, i, pv.Color.transparent, s.strokeStyle, this.rectPath(s));
+};
@@ -0,0 +1,20 @@
+pv.CanvasScene.rule = function(scenes) {
+  var g = this.context;
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+
+    /* visible */
+    if (!s.visible) continue;
+    var stroke = s.strokeStyle;
+    if (!stroke.opacity) continue;
+
+    g.beginPath();
+    g.moveTo(s.left, s.top);
+    g.lineTo(s.left + s.width, s.top + s.height);
+    this.draw(scenes, i, pv.Color.transparent, stroke);
+    if (s.startMarker || s.endMarker) {
+      this.markers(scenes, i, "M" + s.left + "," + s.top
+          + "L" + (s.left + s.width) + "," + (s.top + s.height));
+    }
+  }
+};
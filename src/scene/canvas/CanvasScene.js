@@ -0,0 +1,605 @@
+/**
+ * @private The HTML 5 canvas rendering engine. Rather than creating an element
+ * per mark instance, this engine paints the entire scene graph of a root panel
+ * into a single <tt>canvas</tt> element; thus, the scene graph is repainted
+ * from the root whenever any mark is rendered. The path geometry (including
+ * curves) is shared with {@link pv.SvgScene}.
+ *
+ * <p>Since the painted pixels do not retain any association with marks, events
+ * are dispatched by picking: the scene graph is traversed in painting order,
+ * testing each instance against the mouse location, and the topmost instance
+ * receives the event. The mouseover and mouseout events are synthesized from
+ * mousemove events as the picked instance changes. Touches are picked where
+ * they start; the subsequent touchmove, touchend and touchcancel events are
+ * dispatched to the same instance. Likewise, the canvas as a whole receives the
+ * keyboard focus, and key events are dispatched to the focused instance.
+ *
+ * @namespace
+ */
+pv.CanvasScene = pv.extend(pv.SvgScene);
+
+/** The pre-multipled scale, based on any enclosing transforms. */
+pv.CanvasScene.scale = 1;
+
+/** The current 2D drawing context. */
+pv.CanvasScene.context = null;
+
+/**
+ * The current pick, if picking rather than painting; an object with the
+ * <tt>canvas</tt> being picked, the <tt>x</tt> and <tt>y</tt> location in
+ * canvas coordinates, and the picked <tt>scenes</tt> and <tt>index</tt>.
+ */
+pv.CanvasScene.picking = null;
+
+/**
+ * The current rasterization, if painting offscreen rather than to the displayed
+ * canvas; an object with the 2D drawing <tt>context</tt>, the <tt>index</tt> of
+ * the root panel instance to paint, and the <tt>scale</tt> factor.
+ */
+pv.CanvasScene.raster = null;
+
+/**
+ * The first focusable scene node painted, if any, while painting; an object
+ * with the <tt>scenes</tt> and <tt>index</tt>. The canvas is focusable if any
+ * scene node is; see {@link pv.Mark#tabIndex}.
+ */
+pv.CanvasScene.focusable = null;
+
+/**
+ * Repaints the root panel containing the specified array of scene nodes. Since
+ * painted pixels cannot be updated in place, the entire canvas is repainted.
+ *
+ * @param scenes {array} an array of scene nodes.
+ */
+pv.CanvasScene.updateAll = function(scenes) {
+  while (scenes.parent) scenes = scenes.parent;
+  this.scale = 1;
+  this.paint(scenes);
+};
+
+/**
+ * Paints the specified array of scene nodes using the current context.
+ *
+ * @param scenes {array} an array of scene nodes.
+ */
+pv.CanvasScene.paint = function(scenes) {
+  this[scenes.type](pv.Scene.order(scenes));
+};
+
+/**
+ * Returns the canvas element for the specified root panel instance, creating
+ * it (and replacing any other content of the panel's container) if necessary.
+ *
+ * @param s a root panel scene node.
+ */
+pv.CanvasScene.canvas = function(s) {
+  var c = s.canvas.firstChild;
+  if (!c || !c.getContext) {
+    while (s.canvas.lastChild) s.canvas.removeChild(s.canvas.lastChild);
+    c = s.canvas.appendChild(pv.document.createElement("canvas"));
+    for (var j = 0; j < this.events.length; j++) {
+      c.addEventListener(this.events[j], this.dispatch, false);
+    }
+  }
+  return c;
+};
+
+/**
+ * Sets the ARIA attributes of the canvas element <i>c</i> from the root panel's
+ * scene node <i>s</i>. The canvas does not contain an element per instance, so
+ * only the root panel's label and role apply; its description becomes the
+ * fallback content of the canvas.
+ *
+ * @param c the canvas element.
+ * @param s the scene node of the root panel.
+ * @see pv.Mark#ariaLabel
+ */
+pv.CanvasScene.aria = function(c, s) {
+  if (s.ariaRole) c.setAttribute("role", s.ariaRole);
+  else c.removeAttribute("role");
+  if (s.ariaLabel) c.setAttribute("aria-label", s.ariaLabel);
+  else c.removeAttribute("aria-label");
+  c.textContent = s.description || "";
+};
+
+/**
+ * Fills and strokes the current path (or the specified path) of the scene node
+ * <tt>scenes[i]</tt>. If picking, nothing is painted; instead, if the path
+ * contains the pick location, the scene node is recorded as picked.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} i the index of the scene node.
+ * @param {pv.Color} fill the fill color.
+ * @param {pv.Color} stroke the stroke color.
+ * @param [path] an optional <tt>Path2D</tt>; defaults to the current path.
+ */
+pv.CanvasScene.draw = function(scenes, i, fill, stroke, path) {
+  var g = this.context, s = scenes[i], p = this.picking;
+  if (!p && (s.tabIndex != null) && !this.focusable) {
+    this.focusable = {scenes: scenes, index: i};
+  }
+  if (stroke.opacity || (p && s.events == "all")) {
+    g.lineWidth = s.lineWidth / this.scale;
+    g.lineJoin = s.lineJoin || "miter";
+    if (g.setLineDash) {
+      var d = this.dasharray(s);
+      g.setLineDash(d ? d.split(",").map(Number) : []);
+      g.lineDashOffset = this.dashoffset(s) || 0;
+    }
+  }
+  if (p) {
+    if (s.events == "none") return;
+    var all = s.events == "all";
+    if (((fill.opacity || all)
+          && (path ? g.isPointInPath(path, p.x, p.y) : g.isPointInPath(p.x, p.y)))
+        || ((stroke.opacity || all) && g.isPointInStroke
+          && (path ? g.isPointInStroke(path, p.x, p.y) : g.isPointInStroke(p.x, p.y)))) {
+      p.scenes = scenes;
+      p.index = i;
+    }
+    return;
+  }
+  var f = (scenes.type != "panel") && this.filter(s); // see panel
+  if (f) {
+    g.save();
+    g.filter = f;
+  }
+  if (fill.opacity) {
+    g.globalAlpha = fill.opacity;
+    g.fillStyle = this.style(fill, scenes, i);
+    if (path) g.fill(path); else g.fill();
+  }
+  if (stroke.opacity) {
+    g.globalAlpha = stroke.opacity;
+    g.strokeStyle = this.style(stroke, scenes, i);
+    if (path) g.stroke(path); else g.stroke();
+  }
+  if (f) g.restore();
+};
+
+/**
+ * Returns the CSS filter for the scene node <i>s</i>, such as "blur(2px)", or
+ * null if the node has no filter or the browser does not support canvas
+ * filters. Any filter inherited from an enclosing panel is applied after the
+ * node's own filter. Shadows are drawn using <tt>drop-shadow</tt>, whose blur
+ * radius is twice the standard deviation.
+ *
+ * @param s a scene node.
+ * @returns {string} the CSS filter.
+ */
+pv.CanvasScene.filter = function(s) {
+  var f = s.filter, g = this.context;
+  if (!f || !f.effects.length || !("filter" in g)) return null;
+  var css = f.effects.map(function(e) {
+      switch (e.type) {
+        case "shadow": return "drop-shadow(" + e.dx + "px " + e.dy + "px "
+            + (2 * e.blur) + "px " + pv.CanvasScene.css(e.color) + ")";
+        case "blur": return "blur(" + e.blur + "px)";
+        case "desaturate": return "grayscale(" + e.amount + ")";
+      }
+    }).join(" ");
+  return (g.filter && (g.filter != "none")) ? css + " " + g.filter : css;
+};
+
+/**
+ * Begins a new path for the rectangle of the bar-like scene node <i>s</i>. If
+ * the corners are rounded, the rounded rectangle is returned as a
+ * <tt>Path2D</tt> instead, with the same geometry as the SVG renderer; this
+ * return value should be passed to {@link #draw}.
+ *
+ * @param s a scene node.
+ * @returns the rounded rectangle <tt>Path2D</tt>, or undefined.
+ * @see pv.Bar#cornerRadius
+ */
+pv.CanvasScene.rectPath = function(s) {
+  var g = this.context, r = this.corners(s);
+  g.beginPath();
+  if (r) {
+    return new Path2D(this.roundedRect(s.left, s.top, s.width, s.height, r));
+  }
+  g.rect(s.left, s.top, s.width, s.height);
+};
+
+/**
+ * Draws the markers of the line-like scene node <tt>scenes[i]</tt>, whose
+ * path is given as SVG path data; see {@link pv.Line#startMarker}. The markers
+ * are placed and oriented as in the SVG renderer, using the vertices of the
+ * path, and are filled with the stroke style.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} i the index of the scene node.
+ * @param {string} d the SVG path data of the line.
+ */
+pv.CanvasScene.markers = function(scenes, i, d) {
+  var s = scenes[i], stroke = s.strokeStyle;
+  if (!stroke.opacity) return;
+  if (!s.startMarker && !s.midMarker && !s.endMarker) return;
+  var g = this.context, v = this.vertices(d), k = s.lineWidth / this.scale;
+  for (var j = 0, n = v.length; j < n; j++) {
+    var position = j ? ((j < n - 1) ? "mid" : "end") : "start",
+        m = pv.Line.markers[s[position + "Marker"]],
+        a = v[j].incoming;
+    if (!m) continue;
+    switch (position) {
+      case "start": a = v[j].outgoing; break;
+      case "mid": { // bisect the incoming and outgoing tangents
+        var da = v[j].outgoing - a;
+        if (da > Math.PI) da -= 2 * Math.PI;
+        else if (da < -Math.PI) da += 2 * Math.PI;
+        a += da / 2;
+        break;
+      }
+    }
+    g.save();
+    g.translate(v[j].x, v[j].y);
+    g.rotate(a);
+    g.scale((position == "start") ? -k : k, k);
+    this.draw(scenes, i, stroke, pv.Color.transparent, new Path2D(m));
+    g.restore();
+  }
+};
+
+/**
+ * @private Returns the vertices of the specified SVG path data, with the angle
+ * of the <tt>incoming</tt> and <tt>outgoing</tt> tangents at each vertex, in
+ * radians. Only the absolute commands generated by the line interpolators are
+ * supported; arcs are assumed to be circular.
+ *
+ * @param {string} d the SVG path data.
+ * @returns {object[]} the vertices.
+ */
+pv.CanvasScene.vertices = function(d) {
+  var vertices = [], v, x, y, re = /([MLHVCSQA])([^MLHVCSQAZ]*)/g, m;
+
+  /* Returns the angle from (x0, y0) to (x1, y1), or null if coincident. */
+  function angle(x0, y0, x1, y1) {
+    return ((x0 == x1) && (y0 == y1)) ? null : Math.atan2(y1 - y0, x1 - x0);
+  }
+
+  /*
+   * Appends a segment from the current point through the given control points
+   * and end point, optionally with known outgoing and incoming tangents.
+   */
+  function segment(p, a0, a1) {
+    var n = p.length, px = p[n - 2], py = p[n - 1], j;
+    for (j = 0; (a0 == null) && (j < n); j += 2) {
+      a0 = angle(x, y, p[j], p[j + 1]);
+    }
+    for (j = n - 4; (a1 == null) && (j >= 0); j -= 2) {
+      a1 = angle(p[j], p[j + 1], px, py);
+    }
+    if (a1 == null) a1 = angle(x, y, px, py);
+    if (a0 == null) a0 = a1 = (v.incoming == null) ? 0 : v.incoming;
+    v.outgoing = a0;
+    if (v.incoming == null) v.incoming = a0;
+    vertices.push(v = {x: x = px, y: y = py, incoming: a1});
+  }
+
+  while (m = re.exec(d)) {
+    var n = (m[2].match(/-?[0-9.]+(e[-+]?[0-9]+)?/gi) || []).map(Number),
+        j;
+    switch (m[1]) {
+      case "M": vertices.push(v = {x: x = n[0], y: y = n[1]}); break;
+      case "H": for (j = 0; j < n.length; j++) segment([n[j], y]); break;
+      case "V": for (j = 0; j < n.length; j++) segment([x, n[j]]); break;
+      case "A": {
+        for (j = 0; j < n.length; j += 7) {
+          var ex = n[j + 5], ey = n[j + 6], dx = ex - x, dy = ey - y,
+              a = Math.atan2(dy, dx),
+              c = Math.sqrt(dx * dx + dy * dy),
+              t = Math.asin(Math.min(1, c / (2 * n[j])));
+          if (n[j + 3]) t = Math.PI - t; // large-arc-flag
+          if (!n[j + 4]) t = -t; // sweep-flag
+          segment([ex, ey], a - t, a + t);
+        }
+        break;
+      }
+      default: { // L, Q, C or S
+        var k = {L: 2, Q: 4, S: 4, C: 6}[m[1]];
+        for (j = 0; j < n.length; j += k) {
+          /* The first control point of S reflects the previous tangent. */
+          segment(n.slice(j, j + k), (m[1] == "S") ? v.incoming : null);
+        }
+        break;
+      }
+    }
+  }
+  if (v && (v.outgoing == null)) v.outgoing = v.incoming;
+  return vertices;
+};
+
+/**
+ * Returns the canvas paint style for the specified color, as used to paint the
+ * scene node <tt>scenes[i]</tt>. For a {@link pv.Color.Gradient}, a native
+ * gradient is created relative to the bounding box of the scene node (see
+ * {@link #bounds}); if the bounding box is not known, as with labels, the color
+ * of the first stop is used instead.
+ *
+ * @param {pv.Color} c the color.
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} i the index of the scene node.
+ * @returns the fill or stroke style.
+ */
+pv.CanvasScene.style = function(c, scenes, i) {
+  if (c.type == "pattern") {
+    var t = this.tile(c);
+    return t ? this.context.createPattern(t, "repeat") : "transparent";
+  }
+  if (!c.stops) return c.color;
+  var b = this.bounds(scenes, i), g;
+  if (!b) return this.css(c.stops[0].color);
+  switch (c.type) {
+    case "linear": {
+      g = this.context.createLinearGradient(
+          b.x + c.x1 * b.dx, b.y + c.y1 * b.dy,
+          b.x + c.x2 * b.dx, b.y + c.y2 * b.dy);
+      break;
+    }
+    case "radial": {
+      g = this.context.createRadialGradient(
+          b.x + c.fx * b.dx, b.y + c.fy * b.dy, 0,
+          b.x + c.cx * b.dx, b.y + c.cy * b.dy,
+          c.r * Math.sqrt((b.dx * b.dx + b.dy * b.dy) / 2));
+      break;
+    }
+  }
+  for (var j = 0; j < c.stops.length; j++) {
+    g.addColorStop(c.stops[j].offset, this.css(c.stops[j].color));
+  }
+  return g;
+};
+
+/**
+ * @private Returns the CSS color string for the specified color, including the
+ * opacity, such as "rgba(255,0,0,0.5)".
+ *
+ * @param {pv.Color} c the color.
+ * @returns {string} the color string.
+ */
+pv.CanvasScene.css = function(c) {
+  return (c.r == null) ? c.color
+      : "rgba(" + c.r + "," + c.g + "," + c.b + "," + c.opacity + ")";
+};
+
+/**
+ * Returns a canvas element containing a single tile of the specified pattern,
+ * or null if canvas is not supported. The hatch is drawn using the same path
+ * data as {@link pv.SvgScene#hatch}; for tile patterns, the tile panel is
+ * rendered (if necessary) and then painted offscreen. The tile is cached on
+ * the pattern.
+ *
+ * @param {pv.Pattern} c the pattern.
+ * @returns the canvas element.
+ */
+pv.CanvasScene.tile = function(c) {
+  if (c.$canvas) return c.$canvas;
+  var e;
+  if (c.tile) {
+    var t = c.tile;
+    if (!t.scene) t.canvas(pv.document.createElement("span")).render();
+    e = this.offscreen(t.scene, 1);
+  } else {
+    var s = c.spacing(), fill = c.fillStyle(), stroke = c.strokeStyle(), g;
+    e = pv.document.createElement("canvas");
+    if (!e.getContext) return null;
+    e.width = e.height = Math.ceil(s);
+    g = e.getContext("2d");
+    if (fill.opacity) {
+      g.fillStyle = this.css(fill);
+      g.fillRect(0, 0, s, s);
+    }
+    if (stroke.opacity) {
+      var path = new Path2D(this.hatch(c));
+      if (c.hatch == "dots") {
+        g.fillStyle = this.css(stroke);
+        g.fill(path);
+      } else {
+        g.lineWidth = c.lineWidth();
+        g.strokeStyle = this.css(stroke);
+        g.stroke(path);
+      }
+    }
+  }
+  return c.$canvas = e;
+};
+
+/**
+ * Returns the approximate bounding box of the scene node <tt>scenes[i]</tt>, as
+ * an object with <tt>x</tt>, <tt>y</tt>, <tt>dx</tt> and <tt>dy</tt>
+ * attributes, or null if the bounding box is not known. For lines and areas,
+ * the bounding box encloses all instances; for dots and wedges, it encloses the
+ * full circle.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} i the index of the scene node.
+ */
+pv.CanvasScene.bounds = function(scenes, i) {
+  var s = scenes[i];
+  switch (scenes.type) {
+    case "label": return null;
+    case "dot":
+    case "wedge": {
+      var r = (scenes.type == "dot") ? s.radius : s.outerRadius;
+      return {x: s.left - r, y: s.top - r, dx: 2 * r, dy: 2 * r};
+    }
+    case "line":
+    case "area": {
+      var x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+      for (var j = 0; j < scenes.length; j++) {
+        var t = scenes[j];
+        if (!t.visible) continue;
+        x0 = Math.min(x0, t.left);
+        y0 = Math.min(y0, t.top);
+        x1 = Math.max(x1, t.left + (t.width || 0));
+        y1 = Math.max(y1, t.top + (t.height || 0));
+      }
+      return {x: x0, y: y0, dx: x1 - x0, dy: y1 - y0};
+    }
+  }
+  return {x: s.left, y: s.top, dx: s.width, dy: s.height};
+};
+
+/**
+ * Returns the topmost scene node at the location <i>x</i>, <i>y</i> (in canvas
+ * coordinates) of the specified canvas element, or null if there is none. The
+ * returned pick has <tt>scenes</tt> and <tt>index</tt> attributes, as used by
+ * {@link pv.Mark.dispatch}.
+ *
+ * @param c a canvas element created by this engine.
+ * @param {number} x the x-coordinate.
+ * @param {number} y the y-coordinate.
+ */
+pv.CanvasScene.pick = function(c, x, y) {
+  var p = this.picking = {canvas: c, x: x, y: y};
+  try {
+    this.updateAll(c.$scene.scenes);
+  } finally {
+    this.picking = null;
+  }
+  return p.scenes ? p : null;
+};
+
+/**
+ * Returns a PNG data URI for the specified array of root panel scene nodes, or
+ * null if no instance is visible or if canvas is not supported (as with a
+ * headless {@link pv.Document}). The scene graph is painted into a new,
+ * offscreen canvas at the specified scale factor <i>k</i>; thus, any renderer
+ * may be rasterized, and the displayed elements are not affected. If the root
+ * panel has multiple instances, only the first visible instance is painted.
+ *
+ * <p>Note that images that have not yet loaded are not painted. In addition,
+ * per the same-origin policy, browsers do not allow canvases containing images
+ * from other origins to be exported.
+ *
+ * @param scenes {array} an array of root panel scene nodes.
+ * @param {number} k the scale factor, such as 2 for high-resolution displays.
+ * @returns {string} the PNG data URI.
+ */
+pv.CanvasScene.rasterize = function(scenes, k) {
+  var c = this.offscreen(scenes, k);
+  return c && c.toDataURL("image/png");
+};
+
+/**
+ * Paints the first visible instance of the specified array of root panel scene
+ * nodes into a new, offscreen canvas at the specified scale factor <i>k</i>,
+ * returning the canvas, or null if no instance is visible or if canvas is not
+ * supported. The current painting state is restored afterwards, such that this
+ * method may be called while painting, as for tile patterns.
+ *
+ * @param scenes {array} an array of root panel scene nodes.
+ * @param {number} k the scale factor.
+ * @returns the canvas element.
+ */
+pv.CanvasScene.offscreen = function(scenes, k) {
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+    if (!s.visible) continue;
+    var c = pv.document.createElement("canvas");
+    if (!c.getContext) return null;
+    c.width = Math.ceil((s.width + s.left + s.right) * k);
+    c.height = Math.ceil((s.height + s.top + s.bottom) * k);
+    var raster = this.raster, context = this.context, scale = this.scale;
+    this.raster = {context: c.getContext("2d"), index: i, scale: k};
+    try {
+      this.updateAll(scenes);
+    } finally {
+      this.raster = raster;
+      this.context = context;
+      this.scale = scale;
+    }
+    return c;
+  }
+  return null;
+};
+
+/**
+ * @private Dispatches the specified event to the picked scene node. Since a
+ * canvas only receives mouseover and mouseout events for the canvas as a
+ * whole, these events are instead synthesized on mousemove as the picked node
+ * changes. The cursor and title of the canvas also track the picked node.
+ */
+pv.CanvasScene.dispatch = pv.listener(function(e) {
+  var c = this, t = c.$scene;
+  if (!t) return;
+  var type = e.type,
+      r = c.getBoundingClientRect(),
+      q = e.changedTouches ? e.changedTouches[0] : e,
+      o = c.$over,
+      p;
+
+  /* Touches are dispatched to where they started, as with SVG elements. */
+  if (/^touch(move|end|cancel)$/.test(type)) {
+    p = c.$touch;
+    if (!e.touches.length) c.$touch = null;
+  }
+
+  /* Key and focus events are dispatched to the focused node, if any. */
+  else if (/^(key|focus)/.test(type)) {
+    p = c.$focus || (c.$focus = c.$focusable);
+  }
+
+  else {
+    p = pv.CanvasScene.pick(c, q.clientX - r.left, q.clientY - r.top);
+    if ((type == "touchstart") && (e.touches.length == 1)) c.$touch = p;
+    if ((type == "mousedown") && p && (p.scenes[p.index].tabIndex != null)) {
+      pv.CanvasScene.focus(p.scenes, p.index);
+    }
+  }
+
+  /* Fixes for mousewheel support on Firefox & Opera. */
+  switch (type) {
+    case "DOMMouseScroll": {
+      type = "mousewheel";
+      e.wheel = -480 * e.detail;
+      break;
+    }
+    case "mousewheel": {
+      e.wheel = (window.opera ? 12 : 1) * e.wheelDelta;
+      break;
+    }
+    case "mouseover": return;
+    case "mouseout": p = null; // the mouse left the canvas
+    case "mousemove": {
+      if (o && !(p && (p.scenes == o.scenes) && (p.index == o.index))) {
+        c.$over = null;
+        pv.Mark.dispatch("mouseout", o.scenes, o.index);
+      }
+      if (p && !c.$over) {
+        c.$over = p;
+        pv.Mark.dispatch("mouseover", p.scenes, p.index);
+      }
+      var s = p && p.scenes[p.index];
+      c.style.cursor = (s && s.cursor) || "";
+      c.title = (s && s.title) || "";
+      if (type == "mouseout") return;
+      break;
+    }
+    case "focusin": type = "focus"; break;
+    case "focusout": type = "blur"; break;
+  }
+
+  if (p) pv.CanvasScene.trigger(e, type, p.scenes, p.index);
+});
+
+/**
+ * @private Moves the keyboard focus to the specified scene node. Since the
+ * canvas as a whole receives the focus, the focused node is recorded on the
+ * canvas, and focus and blur events are synthesized as it changes.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} index the index of the scene node.
+ */
+pv.CanvasScene.focus = function(scenes, index) {
+  var s = scenes, i = index;
+  while (s.parent) {
+    i = s.parentIndex;
+    s = s.parent;
+  }
+  var c = this.canvas(s[i]), o = c.$focus;
+  c.$focus = {scenes: scenes, index: index};
+  if (pv.document.activeElement != c) return c.focus(); // dispatches focus
+  if (o && (o.scenes == scenes) && (o.index == index)) return;
+  if (o) pv.Mark.dispatch("blur", o.scenes, o.index);
+  pv.Mark.dispatch("focus", scenes, index);
+};
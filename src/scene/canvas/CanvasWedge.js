@@ -0,0 +1,35 @@
+pv.CanvasScene.wedge = function(scenes) {
+  var g = this.context;
+  for (var i = 0; i < scenes.length; i++) {
+    var s = scenes[i];
+
+    /* visible */
+    if (!s.visible) continue;
+    var fill = s.fillStyle, stroke = s.strokeStyle;
+    if (!fill.opacity && !stroke.opacity) continue;
+
+    /* points */
+    var r1 = s.innerRadius, r2 = s.outerRadius,
+        a = Math.abs(s.endAngle - s.startAngle);
+    g.save();
+    g.translate(s.left, s.top);
+    g.beginPath();
+    if (a >= 2 * Math.PI) {
+      g.arc(0, 0, r2, 0, 2 * Math.PI, false);
+      if (r1) {
+        g.moveTo(r1, 0);
+        g.arc(0, 0, r1, 2 * Math.PI, 0, true);
+      }
+    } else {
+      var sa = Math.min(s.startAngle, s.endAngle),
+          ea = Math.max(s.startAngle, s.endAngle);
+      g.arc(0, 0, r2, sa, ea, false);
+      if (r1) g.arc(0, 0, r1, ea, sa, true);
+      else g.lineTo(0, 0);
+    }
+    g.closePath();
+
+    this.draw(scenes, i, fill, stroke);
+    g.restore();
+  }
+};
@@ -11,6 +11,33 @@ pv.SvgScene.area = function(scenes) {
   var fill = s.fillStyle, stroke = s.strokeStyle;
   if (!fill.opacity && !stroke.opacity) return e;
 
+  /* points */
+  var d = this.areaPath(scenes);
+  if (!d) return e;
+
+  e = this.expect(e, "path", {
+      "shape-rendering": s.antialias ? null : "crispEdges",
+      "pointer-events": s.events,
+      "cursor": s.cursor,
+      "d": d,
+      "fill": fill.color,
+      "fill-opacity": fill.opacity || null,
+      "stroke": stroke.color,
+      "stroke-opacity": stroke.opacity || null,
+      "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null,
+      "stroke-dasharray": stroke.opacity ? this.dasharray(s) : null,
+      "stroke-dashoffset": stroke.opacity ? this.dashoffset(s) : null
+    });
+  return this.append(e, scenes, 0);
+};
+
+/**
+ * @private Returns the path for the specified (unsegmented) area points, or
+ * null if the area is empty.
+ */
+pv.SvgScene.areaPath = function(scenes) {
+  var s = scenes[0];
+
   /** @private Computes the straight path for the range [i, j]. */
   function path(i, j) {
     var p1 = [], p2 = [];
@@ -43,29 +70,24 @@ pv.SvgScene.area = function(scenes) {
     return p1.concat(p2).join("L");
   }
 
-  /** @private Computes the curved path for the range [i, j]. */
+  /**
+   * @private Computes the curved path for the range [i, j], or null if the
+   * interpolation is handled by path. Closed interpolations yield two closed
+   * paths, such that the area between the top and bottom curves is filled.
+   */
   function pathCurve(i, j) {
-    var pointsT = [], pointsB = [], pathT, pathB;
+    var pathT = pv.SvgScene.curve(scenes.slice(i, j + 1), s), pointsB = [];
+    if (!pathT) return null;
 
-    for (var k = j; i <= k; i++, j--) {
+    for (; i <= j; j--) {
       var sj = scenes[j];
-      pointsT.push(scenes[i]);
       pointsB.push({left: sj.left + sj.width, top: sj.top + sj.height});
     }
 
-    if (s.interpolate == "basis") {
-      pathT = pv.SvgScene.curveBasis(pointsT);
-      pathB = pv.SvgScene.curveBasis(pointsB);
-    } else if (s.interpolate == "cardinal") {
-      pathT = pv.SvgScene.curveCardinal(pointsT, s.tension);
-      pathB = pv.SvgScene.curveCardinal(pointsB, s.tension);
-    } else { // monotone
-      pathT = pv.SvgScene.curveMonotone(pointsT);
-      pathB = pv.SvgScene.curveMonotone(pointsB);
-    }
-
-    return pointsT[0].left + "," + pointsT[0].top + pathT
-         + "L" + pointsB[0].left + "," + pointsB[0].top + pathB;
+    var pathB = pv.SvgScene.curve(pointsB, s);
+    return /Z$/.test(pathT)
+        ? pathT.substring(1) + pathB.substring(0, pathB.length - 1)
+        : pathT.substring(1) + "L" + pathB.substring(1);
   }
 
   /* points */
@@ -77,68 +99,70 @@ pv.SvgScene.area = function(scenes) {
     }
     if (i && (s.interpolate != "step-after")) i--;
     if ((j < scenes.length) && (s.interpolate != "step-before")) j++;
-    d.push(((j - i > 2
-        && (s.interpolate == "basis"
-        || s.interpolate == "cardinal"
-        || s.interpolate == "monotone"))
-        ? pathCurve : path)(i, j - 1));
+    d.push(pathCurve(i, j - 1) || path(i, j - 1));
     i = j - 1;
   }
-  if (!d.length) return e;
-
-  e = this.expect(e, "path", {
-      "shape-rendering": s.antialias ? null : "crispEdges",
-      "pointer-events": s.events,
-      "cursor": s.cursor,
-      "d": "M" + d.join("ZM") + "Z",
-      "fill": fill.color,
-      "fill-opacity": fill.opacity || null,
-      "stroke": stroke.color,
-      "stroke-opacity": stroke.opacity || null,
-      "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null
-    });
-  return this.append(e, scenes, 0);
+  return d.length ? "M" + d.join("ZM") + "Z" : null;
 };
 
 pv.SvgScene.areaSegment = function(scenes) {
-  var e = scenes.$g.firstChild, s = scenes[0], pathsT, pathsB;
-  if (s.interpolate == "basis"
-      || s.interpolate == "cardinal"
-      || s.interpolate == "monotone") {
-    var pointsT = [], pointsB = [];
-
-    for (var i = 0, n = scenes.length; i < n; i++) {
-      var sj = scenes[n - i - 1];
-      pointsT.push(scenes[i]);
-      pointsB.push({left: sj.left + sj.width, top: sj.top + sj.height});
-    }
+  var e = scenes.$g.firstChild, paths = this.areaSegmentPaths(scenes);
 
-    if (s.interpolate == "basis") {
-      pathsT = this.curveBasisSegments(pointsT);
-      pathsB = this.curveBasisSegments(pointsB);
-    } else if (s.interpolate == "cardinal") {
-      pathsT = this.curveCardinalSegments(pointsT, s.tension);
-      pathsB = this.curveCardinalSegments(pointsB, s.tension);
-    } else { // monotone
-      pathsT = this.curveMonotoneSegments(pointsT);
-      pathsB = this.curveMonotoneSegments(pointsB);
-    }
-  }
-
-  for (var i = 0, n = scenes.length - 1; i < n; i++) {
-    var s1 = scenes[i], s2 = scenes[i + 1];
+  for (var i = 0, n = scenes.length; i < paths.length; i++) {
+    var s1 = scenes[i], s2 = scenes[(i + 1) % n];
 
     /* visible */
     if (!s1.visible || !s2.visible) continue;
     var fill = s1.fillStyle, stroke = s1.strokeStyle;
     if (!fill.opacity && !stroke.opacity) continue;
 
-    var d;
+    e = this.expect(e, "path", {
+        "shape-rendering": s1.antialias ? null : "crispEdges",
+        "pointer-events": s1.events,
+        "cursor": s1.cursor,
+        "d": paths[i],
+        "fill": fill.color,
+        "fill-opacity": fill.opacity || null,
+        "stroke": stroke.color,
+        "stroke-opacity": stroke.opacity || null,
+        "stroke-width": stroke.opacity ? s1.lineWidth / this.scale : null,
+        "stroke-dasharray": stroke.opacity ? this.dasharray(s1) : null,
+        "stroke-dashoffset": stroke.opacity ? this.dashoffset(s1) : null
+      });
+    e = this.append(e, scenes, i);
+  }
+  return e;
+};
+
+/**
+ * @private Returns the closed path for each segment of the specified segmented
+ * area; the path for segment <i>i</i> spans the points <i>i</i> and <i>i</i> +
+ * 1.
+ */
+pv.SvgScene.areaSegmentPaths = function(scenes) {
+  var s = scenes[0], n = scenes.length, paths = [],
+      pathsT = this.curveSegments(scenes, s), pathsB;
+
+  /*
+   * The bottom points are reversed, such that the bottom segment k spans the
+   * points n - k - 1 and n - k - 2; closed interpolations have n segments.
+   */
+  if (pathsT) {
+    var pointsB = [];
+    for (var i = n - 1; i >= 0; i--) {
+      var sj = scenes[i];
+      pointsB.push({left: sj.left + sj.width, top: sj.top + sj.height});
+    }
+    pathsB = this.curveSegments(pointsB, s);
+  }
+
+  for (var i = 0, m = pathsT ? pathsT.length : n - 1; i < m; i++) {
+    var s1 = scenes[i], s2 = scenes[(i + 1) % n];
     if (pathsT) {
       var pathT = pathsT[i],
-          pathB = "L" + pathsB[n - i - 1].substr(1);
+          pathB = "L" + pathsB[(m + n - i - 2) % m].substr(1);
 
-      d = pathT + pathB + "Z";
+      paths.push(pathT + pathB + "Z");
     } else {
       /* interpolate */
       var si = s1, sj = s2;
@@ -148,25 +172,12 @@ pv.SvgScene.areaSegment = function(scenes) {
       }
 
       /* path */
-      d = "M" + s1.left + "," + si.top
+      paths.push("M" + s1.left + "," + si.top
         + "L" + s2.left + "," + sj.top
         + "L" + (s2.left + s2.width) + "," + (sj.top + sj.height)
         + "L" + (s1.left + s1.width) + "," + (si.top + si.height)
-        + "Z";
+        + "Z");
     }
-
-    e = this.expect(e, "path", {
-        "shape-rendering": s1.antialias ? null : "crispEdges",
-        "pointer-events": s1.events,
-        "cursor": s1.cursor,
-        "d": d,
-        "fill": fill.color,
-        "fill-opacity": fill.opacity || null,
-        "stroke": stroke.color,
-        "stroke-opacity": stroke.opacity || null,
-        "stroke-width": stroke.opacity ? s1.lineWidth / this.scale : null
-      });
-    e = this.append(e, scenes, i);
   }
-  return e;
+  return paths;
 };
@@ -8,7 +8,7 @@ pv.SvgScene.bar = function(scenes) {
     var fill = s.fillStyle, stroke = s.strokeStyle;
     if (!fill.opacity && !stroke.opacity) continue;
 
-    e = this.expect(e, "rect", {
+    e = this.rect(e, s, {
         "shape-rendering": s.antialias ? null : "crispEdges",
         "pointer-events": s.events,
         "cursor": s.cursor,
@@ -20,7 +20,9 @@ pv.SvgScene.bar = function(scenes) {
         "fill-opacity": fill.opacity || null,
         "stroke": stroke.color,
         "stroke-opacity": stroke.opacity || null,
-        "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null
+        "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null,
+        "stroke-dasharray": stroke.opacity ? this.dasharray(s) : null,
+        "stroke-dashoffset": stroke.opacity ? this.dashoffset(s) : null
       });
     e = this.append(e, scenes, i);
   }
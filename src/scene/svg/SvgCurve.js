@@ -352,3 +352,335 @@ pv.SvgScene.curveMonotoneSegments = function(points) {
   if (points.length <= 2) return "";
   return this.curveHermiteSegments(points, this.monotoneTangents(points));
 };
+
+/**
+ * @private Interpolates the given points using cubic bezier segments with the
+ * given control points; the control points for segment <i>i</i>, spanning the
+ * points <i>i</i> and <i>i</i> + 1, are the two-element array controls[i].
+ * Returns an SVG path without the leading M instruction to allow path
+ * appending.
+ *
+ * @param points the array of points.
+ * @param controls the array of control point pairs.
+ */
+pv.SvgScene.curveBezier = function(points, controls) {
+  var path = "";
+  for (var i = 0; i < controls.length; i++) {
+    var c1 = controls[i][0], c2 = controls[i][1], p = points[i + 1];
+    path += "C" + c1.x + "," + c1.y
+        + "," + c2.x + "," + c2.y
+        + "," + p.left + "," + p.top;
+  }
+  return path;
+};
+
+/**
+ * @private Interpolates the given points using cubic bezier segments with the
+ * given control points. Returns an array of path strings.
+ *
+ * @param points the array of points.
+ * @param controls the array of control point pairs.
+ */
+pv.SvgScene.curveBezierSegments = function(points, controls) {
+  var paths = [];
+  for (var i = 0; i < controls.length; i++) {
+    var p = points[i];
+    paths.push("M" + p.left + "," + p.top
+        + this.curveBezier(points.slice(i, i + 2), controls.slice(i, i + 1)));
+  }
+  return paths;
+};
+
+/**
+ * @private Computes the bezier control points for the given points needed for
+ * natural cubic spline interpolation, such that the second derivative is
+ * continuous, and zero at the end points. Each dimension is interpolated
+ * separately, solving a tridiagonal system with the Thomas algorithm.
+ *
+ * @param points the array of points.
+ */
+pv.SvgScene.naturalControls = function(points) {
+
+  /** @private Returns the two control values of each segment. */
+  function solve(x) {
+    var n = x.length - 1, a = [], b = [], r = [], c1 = [], c2 = [], i, m;
+    a[0] = 0; b[0] = 2; r[0] = x[0] + 2 * x[1];
+    for (i = 1; i < n - 1; i++) {
+      a[i] = 1; b[i] = 4; r[i] = 4 * x[i] + 2 * x[i + 1];
+    }
+    a[n - 1] = 2; b[n - 1] = 7; r[n - 1] = 8 * x[n - 1] + x[n];
+    for (i = 1; i < n; i++) {
+      m = a[i] / b[i - 1];
+      b[i] -= m;
+      r[i] -= m * r[i - 1];
+    }
+    c1[n - 1] = r[n - 1] / b[n - 1];
+    for (i = n - 2; i >= 0; i--) c1[i] = (r[i] - c1[i + 1]) / b[i];
+    for (i = 0; i < n - 1; i++) c2[i] = 2 * x[i + 1] - c1[i + 1];
+    c2[n - 1] = (x[n] + c1[n - 1]) / 2;
+    return [c1, c2];
+  }
+
+  var x = solve(points.map(function(p) { return p.left; })),
+      y = solve(points.map(function(p) { return p.top; })),
+      controls = [];
+  for (var i = 0; i < points.length - 1; i++) {
+    controls.push([{x: x[0][i], y: y[0][i]}, {x: x[1][i], y: y[1][i]}]);
+  }
+  return controls;
+};
+
+/**
+ * @private Computes the bezier control points for the given points needed for
+ * centripetal Catmull-Rom spline interpolation; the knots are spaced by the
+ * square root of the distance between successive points, which avoids cusps
+ * and self-intersections within segments. The end points are repeated to
+ * compute the first and last segments.
+ *
+ * @param points the array of points.
+ */
+pv.SvgScene.catmullRomControls = function(points) {
+
+  /** @private Returns the square root of the distance between p and q. */
+  function d(p, q) {
+    var dx = q.left - p.left, dy = q.top - p.top;
+    return Math.pow(dx * dx + dy * dy, .25);
+  }
+
+  var controls = [], n = points.length;
+  for (var i = 0; i < n - 1; i++) {
+    var p0 = points[i ? i - 1 : 0],
+        p1 = points[i],
+        p2 = points[i + 1],
+        p3 = points[(i < n - 2) ? i + 2 : n - 1],
+        d01 = d(p0, p1),
+        d12 = d(p1, p2),
+        d23 = d(p2, p3),
+        c1 = {x: p1.left, y: p1.top},
+        c2 = {x: p2.left, y: p2.top};
+    if (d01 > 1e-6) {
+      var a = 2 * d01 * d01 + 3 * d01 * d12 + d12 * d12,
+          k = 3 * d01 * (d01 + d12);
+      c1.x = (a * p1.left - d12 * d12 * p0.left + d01 * d01 * p2.left) / k;
+      c1.y = (a * p1.top - d12 * d12 * p0.top + d01 * d01 * p2.top) / k;
+    }
+    if (d23 > 1e-6) {
+      var b = 2 * d23 * d23 + 3 * d23 * d12 + d12 * d12,
+          k = 3 * d23 * (d23 + d12);
+      c2.x = (b * p2.left + d23 * d23 * p1.left - d12 * d12 * p3.left) / k;
+      c2.y = (b * p2.top + d23 * d23 * p1.top - d12 * d12 * p3.top) / k;
+    }
+    controls.push([c1, c2]);
+  }
+  return controls;
+};
+
+/**
+ * @private Straightens the given points for bundle interpolation, moving each
+ * point towards the straight line between the first and last points. A beta
+ * of 1 leaves the points unchanged, while a beta of 0 yields a straight line.
+ *
+ * @param points the array of points.
+ * @param beta the bundling strength.
+ */
+pv.SvgScene.bundlePoints = function(points, beta) {
+  var n = points.length - 1,
+      p0 = points[0],
+      dx = points[n].left - p0.left,
+      dy = points[n].top - p0.top,
+      bundle = [];
+  for (var i = 0; i <= n; i++) {
+    var p = points[i], t = i / n;
+    bundle.push({
+      left: beta * p.left + (1 - beta) * (p0.left + t * dx),
+      top: beta * p.top + (1 - beta) * (p0.top + t * dy)
+    });
+  }
+  return bundle;
+};
+
+/**
+ * @private Interpolates the given points using the closed basis spline
+ * interpolation, treating the points as a cycle. Returns an SVG path including
+ * the leading M instruction, since the curve does not pass through the first
+ * point, and the trailing Z instruction.
+ *
+ * @param points the array of points.
+ */
+pv.SvgScene.curveBasisClosed = function(points) {
+  var path = "", n = points.length;
+  for (var i = 0; i < n; i++) {
+    path += (i ? this.pathBasis : this.pathBasis.segment)(
+        points[(i + n - 1) % n],
+        points[i],
+        points[(i + 1) % n],
+        points[(i + 2) % n]);
+  }
+  return path + "Z";
+};
+
+/**
+ * @private Interpolates the given points using the closed basis spline
+ * interpolation. Returns an array of path strings, one for each point; the
+ * last segment joins the last point to the first.
+ *
+ * @param points the array of points.
+ */
+pv.SvgScene.curveBasisClosedSegments = function(points) {
+  var paths = [], n = points.length;
+  for (var i = 0; i < n; i++) {
+    paths.push(this.pathBasis.segment(
+        points[(i + n - 1) % n],
+        points[i],
+        points[(i + 1) % n],
+        points[(i + 2) % n]));
+  }
+  return paths;
+};
+
+/**
+ * @private Computes the tangents for the given points needed for closed
+ * cardinal spline interpolation, treating the points as a cycle. Returns an
+ * array of n + 1 tangent vectors, the last being that of the first point.
+ *
+ * @param points the array of points.
+ * @param tension the tension of the cardinal spline.
+ */
+pv.SvgScene.cardinalClosedTangents = function(points, tension) {
+  var tangents = [], a = (1 - tension) / 2, n = points.length;
+  for (var i = 0; i <= n; i++) {
+    var p0 = points[(i + n - 1) % n], p2 = points[(i + 1) % n];
+    tangents.push({x: a * (p2.left - p0.left), y: a * (p2.top - p0.top)});
+  }
+  return tangents;
+};
+
+/**
+ * @private Interpolates the given points using closed cardinal spline
+ * interpolation. Returns an SVG path including the leading M instruction and
+ * the trailing Z instruction.
+ *
+ * @param points the array of points.
+ * @param tension the tension of the cardinal spline.
+ */
+pv.SvgScene.curveCardinalClosed = function(points, tension) {
+  var p = points[0];
+  return "M" + p.left + "," + p.top
+      + this.curveHermite(points.concat([p]),
+          this.cardinalClosedTangents(points, tension))
+      + "Z";
+};
+
+/**
+ * @private Interpolates the given points using closed cardinal spline
+ * interpolation. Returns an array of path strings, one for each point; the
+ * last segment joins the last point to the first.
+ *
+ * @param points the array of points.
+ * @param tension the tension of the cardinal spline.
+ */
+pv.SvgScene.curveCardinalClosedSegments = function(points, tension) {
+  return this.curveHermiteSegments(points.concat([points[0]]),
+      this.cardinalClosedTangents(points, tension));
+};
+
+/**
+ * @private Joins the given points with straight lines, treating the points as a
+ * cycle. Returns an SVG path including the leading M instruction and the
+ * trailing Z instruction.
+ *
+ * @param points the array of points.
+ */
+pv.SvgScene.curveLinearClosed = function(points) {
+  var path = "";
+  for (var i = 0; i < points.length; i++) {
+    var p = points[i];
+    path += (i ? "L" : "M") + p.left + "," + p.top;
+  }
+  return path + "Z";
+};
+
+/**
+ * @private Joins the given points with straight lines, treating the points as a
+ * cycle. Returns an array of path strings, one for each point; the last
+ * segment joins the last point to the first.
+ *
+ * @param points the array of points.
+ */
+pv.SvgScene.curveLinearClosedSegments = function(points) {
+  var paths = [], n = points.length;
+  for (var i = 0; i < n; i++) {
+    var p0 = points[i], p1 = points[(i + 1) % n];
+    paths.push("M" + p0.left + "," + p0.top + "L" + p1.left + "," + p1.top);
+  }
+  return paths;
+};
+
+/**
+ * @private Returns the path for the given points, interpolated as specified by
+ * the <tt>interpolate</tt> property of the scene node <i>s</i>. The path
+ * includes the leading M instruction; closed interpolations ("linear-closed",
+ * "basis-closed" and "cardinal-closed") also end with the Z instruction.
+ * Returns null for the other interpolations, such as "linear" and "step-after",
+ * or if there are fewer than three points.
+ *
+ * @param points the array of points.
+ * @param s the scene node.
+ */
+pv.SvgScene.curve = function(points, s) {
+  if (points.length <= 2) return null;
+  var p = points[0], m = "M" + p.left + "," + p.top;
+  switch (s.interpolate) {
+    case "basis": return m + this.curveBasis(points);
+    case "cardinal": return m + this.curveCardinal(points, s.tension);
+    case "monotone": return m + this.curveMonotone(points);
+    case "natural": {
+      return m + this.curveBezier(points, this.naturalControls(points));
+    }
+    case "catmull-rom": {
+      return m + this.curveBezier(points, this.catmullRomControls(points));
+    }
+    case "bundle": {
+      return m + this.curveBasis(this.bundlePoints(points, s.beta));
+    }
+    case "linear-closed": return this.curveLinearClosed(points);
+    case "basis-closed": return this.curveBasisClosed(points);
+    case "cardinal-closed": return this.curveCardinalClosed(points, s.tension);
+  }
+  return null;
+};
+
+/**
+ * @private Returns the path segments for the given points, interpolated as
+ * specified by the <tt>interpolate</tt> property of the scene node <i>s</i>;
+ * the segment <i>i</i> spans the points <i>i</i> and <i>i</i> + 1. Closed
+ * interpolations return one more segment, joining the last point to the first.
+ * Returns null for the other interpolations, or if there are fewer than three
+ * points.
+ *
+ * @param points the array of points.
+ * @param s the scene node.
+ */
+pv.SvgScene.curveSegments = function(points, s) {
+  if (points.length <= 2) return null;
+  switch (s.interpolate) {
+    case "basis": return this.curveBasisSegments(points);
+    case "cardinal": return this.curveCardinalSegments(points, s.tension);
+    case "monotone": return this.curveMonotoneSegments(points);
+    case "natural": {
+      return this.curveBezierSegments(points, this.naturalControls(points));
+    }
+    case "catmull-rom": {
+      return this.curveBezierSegments(points, this.catmullRomControls(points));
+    }
+    case "bundle": {
+      return this.curveBasisSegments(this.bundlePoints(points, s.beta));
+    }
+    case "linear-closed": return this.curveLinearClosedSegments(points);
+    case "basis-closed": return this.curveBasisClosedSegments(points);
+    case "cardinal-closed": {
+      return this.curveCardinalClosedSegments(points, s.tension);
+    }
+  }
+  return null;
+};
@@ -9,8 +9,8 @@ pv.SvgScene.dot = function(scenes) {
     if (!fill.opacity && !stroke.opacity) continue;
 
     /* points */
-    var radius = s.radius, path = null;
-    switch (s.shape) {
+    var radius = s.radius, path = pv.Dot.symbol(s);
+    if (path == null) switch (s.shape) {
       case "cross": {
         path = "M" + -radius + "," + -radius
             + "L" + radius + "," + radius
@@ -62,7 +62,9 @@ pv.SvgScene.dot = function(scenes) {
       "fill-opacity": fill.opacity || null,
       "stroke": stroke.color,
       "stroke-opacity": stroke.opacity || null,
-      "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null
+      "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null,
+      "stroke-dasharray": stroke.opacity ? this.dasharray(s) : null,
+      "stroke-dashoffset": stroke.opacity ? this.dashoffset(s) : null
     };
     if (path) {
       svg.transform = "translate(" + s.left + "," + s.top + ")";
@@ -9,37 +9,188 @@ pv.SvgScene.image = function(scenes) {
     /* fill */
     e = this.fill(e, scenes, i);
 
-    /* image */
-    if (s.image) {
-      e = this.expect(e, "foreignObject", {
-          "cursor": s.cursor,
-          "x": s.left,
-          "y": s.top,
-          "width": s.width,
-          "height": s.height
-        });
-      var c = e.firstChild || e.appendChild(document.createElementNS(this.xhtml, "canvas"));
-      c.$scene = {scenes:scenes, index:i};
-      c.style.width = s.width;
-      c.style.height = s.height;
-      c.width = s.imageWidth;
-      c.height = s.imageHeight;
-      c.getContext("2d").putImageData(s.image, 0, 0);
+    /* fit; the size may be unknown while a static image is loading */
+    var fit = s.imageFit, size = null, b = null;
+    if ((fit == "center") || (fit == "tile") || (s.image && (fit != "none"))) {
+      size = this.imageSize(s, scenes);
+      if (size) b = pv.Image.layout(s, size.width, size.height);
     } else {
-      e = this.expect(e, "image", {
-          "preserveAspectRatio": "none",
+      b = {x: 0, y: 0, width: s.width, height: s.height};
+    }
+
+    /* tile, as a pattern fill */
+    if (b && (fit == "tile")) {
+      e = this.rect(e, s, {
           "cursor": s.cursor,
           "x": s.left,
           "y": s.top,
           "width": s.width,
-          "height": s.height
+          "height": s.height,
+          "fill": this.imageTile(scenes, i, b),
+          "stroke": null
         });
-      e.setAttributeNS(this.xlink, "href", s.url);
+      e = this.append(e, scenes, i);
+    }
+
+    else if (b) {
+
+      /* clip (rounded corners, or images larger than the bounds) */
+      var clip = null;
+      if (s.cornerRadius || (size && (fit != "contain"))) {
+        var id = pv.id().toString(36);
+        e = this.expect(e, "clipPath", {"id": id});
+        clip = "url(#" + id + ")";
+        var r = this.rect(e.firstChild, s, {
+            "x": s.left,
+            "y": s.top,
+            "width": s.width,
+            "height": s.height
+          });
+        if (!r.parentNode) e.appendChild(r);
+        if (!e.parentNode) scenes.$g.appendChild(e);
+        e = e.nextSibling;
+      }
+
+      /* image */
+      if (s.image) {
+        e = this.expect(e, "foreignObject", {
+            "clip-path": clip,
+            "cursor": s.cursor,
+            "x": s.left + b.x,
+            "y": s.top + b.y,
+            "width": b.width,
+            "height": b.height
+          });
+        var c = e.lastChild; // see aria
+        if (!c || !c.getContext) {
+          c = e.appendChild(pv.document.createElementNS(this.xhtml, "canvas"));
+        }
+        c.$scene = {scenes:scenes, index:i};
+        c.style.width = b.width;
+        c.style.height = b.height;
+        c.width = s.imageWidth;
+        c.height = s.imageHeight;
+        c.getContext("2d").putImageData(s.image, 0, 0);
+      } else {
+        e = this.expect(e, "image", {
+            "preserveAspectRatio": this.aspectRatio(s),
+            "clip-path": clip,
+            "cursor": s.cursor,
+            "x": s.left + b.x,
+            "y": s.top + b.y,
+            "width": b.width,
+            "height": b.height
+          });
+        e.setAttributeNS(this.xlink, "href", s.url);
+      }
+      e = this.append(e, scenes, i);
     }
-    e = this.append(e, scenes, i);
 
     /* stroke */
     e = this.stroke(e, scenes, i);
   }
   return e;
 };
+
+/**
+ * @private Returns the intrinsic size of the image of the specified image
+ * instance, as an object with <tt>width</tt> and <tt>height</tt> attributes.
+ * For dynamic images, this is the size of the pixel buffer. For static images,
+ * this is the specified image width and height, if any, or else the natural
+ * size of the loaded image; null is returned if the image has not yet loaded.
+ */
+pv.SvgScene.imageSize = function(s, scenes) {
+  if (s.image || ((s.imageWidth != null) && (s.imageHeight != null))) {
+    return {width: s.imageWidth, height: s.imageHeight};
+  }
+  var image = this.loadImage(s.url, scenes);
+  return (image.complete && image.naturalWidth)
+      ? {width: image.naturalWidth, height: image.naturalHeight}
+      : null;
+};
+
+/**
+ * @private Returns the SVG <tt>preserveAspectRatio</tt> attribute value for the
+ * specified static image instance. The "contain" and "cover" fits are handled
+ * natively, such that the natural size of the image need not be known.
+ */
+pv.SvgScene.aspectRatio = function(s) {
+  var a = pv.Image.align(s), m = ["Min", "Mid", "Max"];
+  switch (s.imageFit) {
+    case "contain": case "cover": break;
+    default: return "none";
+  }
+  return "x" + m[a[0] * 2] + "Y" + m[a[1] * 2]
+      + (s.imageFit == "cover" ? " slice" : " meet");
+};
+
+/**
+ * @private Returns a paint reference to a pattern that repeats the image of the
+ * scene node <tt>scenes[index]</tt>, given the position and size <i>b</i> of
+ * one tile relative to the mark, ensuring that the root SVG element contains
+ * the corresponding <tt>pattern</tt> definition. Dynamic images are embedded
+ * in the pattern as data URLs.
+ */
+pv.SvgScene.imageTile = function(scenes, index, b) {
+  var s = scenes[index], url = s.url;
+  if (s.image) {
+    var c = pv.document.createElement("canvas");
+    c.width = s.imageWidth;
+    c.height = s.imageHeight;
+    c.getContext("2d").putImageData(s.image, 0, 0);
+    url = c.toDataURL();
+  }
+  var x = s.left + b.x, y = s.top + b.y,
+      id = pv.Color.id("tile", [url, x, y, b.width, b.height].join(",")),
+      defs = this.defs(scenes, index);
+  if (!this.reference(scenes, index, id)) {
+    var e = defs.appendChild(this.create("pattern")),
+        n = e.appendChild(this.create("image"));
+    e.setAttribute("id", id);
+    e.setAttribute("patternUnits", "userSpaceOnUse");
+    e.setAttribute("x", x);
+    e.setAttribute("y", y);
+    e.setAttribute("width", b.width);
+    e.setAttribute("height", b.height);
+    n.setAttribute("preserveAspectRatio", "none");
+    n.setAttribute("width", b.width);
+    n.setAttribute("height", b.height);
+    n.setAttributeNS(this.xlink, "href", url);
+    defs.$ids[id] = true;
+  }
+  return "url(#" + id + ")";
+};
+
+/**
+ * @private Returns the (possibly still loading) image element for the specified
+ * URL. Images are cached by URL; when an image finishes loading, the specified
+ * scene nodes are updated, if still displayed by this engine. For the canvas
+ * engine, this repaints the root panel containing them.
+ */
+pv.SvgScene.loadImage = function(url, scenes) {
+  var cache = pv.SvgScene.images || (pv.SvgScene.images = {}),
+      image = cache[url];
+  if (!image) {
+    image = cache[url] = pv.document.createElement("img");
+    image.$updates = [];
+    image.onload = function() {
+        var updates = image.$updates;
+        image.$updates = [];
+        for (var i = 0; i < updates.length; i++) {
+          var engine = updates[i].engine, scenes = updates[i].scenes;
+          if (pv.Scene.engine(scenes) != engine) continue;
+          scenes.$dirty = true;
+          engine.scale = scenes.$scale;
+          engine.updateAll(scenes);
+        }
+      };
+    image.src = url;
+  }
+  if (!image.complete || !image.naturalWidth) {
+    for (var i = 0; i < image.$updates.length; i++) {
+      if (image.$updates[i].scenes == scenes) return image;
+    }
+    image.$updates.push({engine: this, scenes: scenes});
+  }
+  return image;
+};
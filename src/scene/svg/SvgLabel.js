@@ -38,9 +38,47 @@ pv.SvgScene.label = function(scenes) {
         "text-shadow": s.textShadow,
         "text-decoration": s.textDecoration
       });
-    if (e.firstChild) e.firstChild.nodeValue = s.text;
-    else e.appendChild(document.createTextNode(s.text));
+    this.lines(e, s, x);
     e = this.append(e, scenes, i);
   }
   return e;
 };
+
+/**
+ * @private Sets the content of the specified text element to the lines of text
+ * of the specified label scene node; see {@link pv.Label.lines}. A single line
+ * is written as a text node; multiple lines are written as tspan elements, each
+ * starting at the given x-coordinate, and offset such that the block of lines
+ * is aligned per the text baseline.
+ */
+pv.SvgScene.lines = function(e, s, x) {
+  var lines = pv.Label.lines(s), c = e.firstChild, n = lines.length;
+
+  /* single line */
+  if (n == 1) {
+    if (c && (c.nodeType == 3) && !c.nextSibling) c.nodeValue = lines[0];
+    else {
+      while (e.lastChild) e.removeChild(e.lastChild);
+      e.appendChild(pv.document.createTextNode(lines[0]));
+    }
+    return;
+  }
+
+  /* multiple lines */
+  var h = s.textLineHeight, dy;
+  switch (s.textBaseline) {
+    case "middle": dy = .35 - (n - 1) * h / 2; break;
+    case "top": dy = .71; break;
+    default: dy = -(n - 1) * h; break;
+  }
+  dy = Math.round(dy * 1000) / 1000;
+  e.removeAttribute("dy");
+  while (e.lastChild) e.removeChild(e.lastChild);
+  for (var i = 0; i < n; i++) {
+    var t = this.create("tspan");
+    t.setAttribute("x", x);
+    t.setAttribute("dy", (i ? h : dy) + "em");
+    t.appendChild(pv.document.createTextNode(lines[i]));
+    e.appendChild(t);
+  }
+};
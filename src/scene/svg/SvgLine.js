@@ -11,49 +11,73 @@ pv.SvgScene.line = function(scenes) {
   var fill = s.fillStyle, stroke = s.strokeStyle;
   if (!fill.opacity && !stroke.opacity) return e;
 
-  /* points */
-  var d = "M" + s.left + "," + s.top;
-
-  if (scenes.length > 2 && (s.interpolate == "basis" || s.interpolate == "cardinal" || s.interpolate == "monotone")) {
-    switch (s.interpolate) {
-      case "basis": d += this.curveBasis(scenes); break;
-      case "cardinal": d += this.curveCardinal(scenes, s.tension); break;
-      case "monotone": d += this.curveMonotone(scenes); break;
-    }
-  } else {
-    for (var i = 1; i < scenes.length; i++) {
-      d += this.pathSegment(scenes[i - 1], scenes[i]);
-    }
-  }
-
   e = this.expect(e, "path", {
       "shape-rendering": s.antialias ? null : "crispEdges",
       "pointer-events": s.events,
       "cursor": s.cursor,
-      "d": d,
+      "d": this.linePath(scenes),
       "fill": fill.color,
       "fill-opacity": fill.opacity || null,
       "stroke": stroke.color,
       "stroke-opacity": stroke.opacity || null,
       "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null,
-      "stroke-linejoin": s.lineJoin
+      "stroke-dasharray": stroke.opacity ? this.dasharray(s) : null,
+      "stroke-dashoffset": stroke.opacity ? this.dashoffset(s) : null,
+      "stroke-linejoin": s.lineJoin,
+      "marker-start": this.marker(scenes, 0, "start"),
+      "marker-mid": this.marker(scenes, 0, "mid"),
+      "marker-end": this.marker(scenes, 0, "end")
     });
   return this.append(e, scenes, 0);
 };
 
+/** @private Returns the path for the specified (unsegmented) line points. */
+pv.SvgScene.linePath = function(scenes) {
+  var s = scenes[0], d = this.curve(scenes, s);
+  if (d) return d;
+  d = "M" + s.left + "," + s.top;
+  for (var i = 1; i < scenes.length; i++) {
+    d += this.pathSegment(scenes[i - 1], scenes[i]);
+  }
+  return d;
+};
+
 pv.SvgScene.lineSegment = function(scenes) {
   var e = scenes.$g.firstChild;
 
-  var s = scenes[0];
-  var paths;
-  switch (s.interpolate) {
-    case "basis": paths = this.curveBasisSegments(scenes); break;
-    case "cardinal": paths = this.curveCardinalSegments(scenes, s.tension); break;
-    case "monotone": paths = this.curveMonotoneSegments(scenes); break;
+  /* closed interpolations have an extra segment, from the last point */
+  var n = scenes.length,
+      paths = this.curveSegments(scenes, scenes[0]),
+      m = paths ? paths.length : n - 1;
+
+  /* fills, underneath all strokes */
+  for (var i = 0; i < m; i++) {
+    var s1 = scenes[i], s2 = scenes[(i + 1) % n];
+
+    /* visible */
+    if (!s1.visible || !s2.visible) continue;
+    var fill = s1.fillStyle;
+    if (!fill.opacity) continue;
+
+    e = this.expect(e, "path", {
+        "shape-rendering": s1.antialias ? null : "crispEdges",
+        "pointer-events": s1.events,
+        "cursor": s1.cursor,
+        "d": this.lineSegmentFill(scenes, i, paths),
+        "fill": fill.color,
+        "fill-opacity": fill.opacity,
+        "stroke": null,
+        "stroke-opacity": null,
+        "stroke-width": null,
+        "stroke-dasharray": null,
+        "stroke-dashoffset": null,
+        "stroke-linejoin": null
+      });
+    e = this.append(e, scenes, i);
   }
 
-  for (var i = 0, n = scenes.length - 1; i < n; i++) {
-    var s1 = scenes[i], s2 = scenes[i + 1];
+  for (var i = 0; i < m; i++) {
+    var s1 = scenes[i], s2 = scenes[(i + 1) % n];
 
     /* visible */
     if (!s1.visible || !s2.visible) continue;
@@ -62,11 +86,12 @@ pv.SvgScene.lineSegment = function(scenes) {
 
     /* interpolate */
     var d;
-    if ((s1.interpolate == "linear") && (s1.lineJoin == "miter")) {
+    if ((s1.interpolate == "linear") && (s1.lineJoin == "miter")
+        && !s1.strokeDasharray) {
       fill = stroke;
       stroke = pv.Color.transparent;
       d = this.pathJoin(scenes[i - 1], s1, s2, scenes[i + 2]);
-    } else if(paths) {
+    } else if (paths) {
       d = paths[i];
     } else {
       d = "M" + s1.left + "," + s1.top + this.pathSegment(s1, s2);
@@ -82,6 +107,8 @@ pv.SvgScene.lineSegment = function(scenes) {
         "stroke": stroke.color,
         "stroke-opacity": stroke.opacity || null,
         "stroke-width": stroke.opacity ? s1.lineWidth / this.scale : null,
+        "stroke-dasharray": stroke.opacity ? this.dasharray(s1) : null,
+        "stroke-dashoffset": stroke.opacity ? this.dashoffset(s1) : null,
         "stroke-linejoin": s1.lineJoin
       });
     e = this.append(e, scenes, i);
@@ -89,6 +116,49 @@ pv.SvgScene.lineSegment = function(scenes) {
   return e;
 };
 
+/**
+ * @private Returns the fill path for the specified line segment: the segment,
+ * closed over its own span of the baseline through the first and last points
+ * of the line, onto which the segment's endpoints are projected. Thus, adjacent
+ * segments tile without overlapping, and together fill the same region as the
+ * unsegmented line, as long as the projections of the points are in order. If
+ * the first and last points coincide, the baseline is horizontal.
+ *
+ * <p>The ends of closed interpolations meet, such that their points cannot be
+ * in order along any baseline; instead, each segment is closed through the
+ * first point, which tiles as long as each segment is visible from it.
+ */
+pv.SvgScene.lineSegmentFill = function(scenes, i, paths) {
+  var s0 = scenes[0];
+  if (paths && (paths.length == scenes.length)) { // closed
+    return "M" + s0.left + "," + s0.top + "L" + paths[i].substring(1) + "Z";
+  }
+
+  var sn = scenes[scenes.length - 1],
+      s1 = scenes[i],
+      s2 = scenes[i + 1],
+      ux = sn.left - s0.left,
+      uy = sn.top - s0.top,
+      u = Math.sqrt(ux * ux + uy * uy);
+  if (u) {
+    ux /= u;
+    uy /= u;
+  } else {
+    ux = 1;
+    uy = 0;
+  }
+
+  /** @private Returns the projection of the point s onto the baseline. */
+  function project(s) {
+    var t = (s.left - s0.left) * ux + (s.top - s0.top) * uy;
+    return (s0.left + t * ux) + "," + (s0.top + t * uy);
+  }
+
+  return "M" + (paths ? paths[i].substring(1)
+      : s1.left + "," + s1.top + this.pathSegment(s1, s2))
+      + "L" + project(s2) + "L" + project(s1) + "Z";
+};
+
 /** @private Returns the path segment for the specified points. */
 pv.SvgScene.pathSegment = function(s1, s2) {
   var l = 1; // sweep-flag
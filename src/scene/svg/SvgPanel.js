@@ -23,13 +23,32 @@ pv.SvgScene.panel = function(scenes) {
         for (var j = 0; j < this.events.length; j++) {
           g.addEventListener(this.events[j], this.dispatch, false);
         }
-        e = g.firstChild;
+      }
+      this.aria(g, s);
+      e = g.firstChild;
+      if (e && (e.tagName == "desc")) e = e.nextSibling; // see aria
+      if (e && (e.tagName == "defs")) { // see define
+        e.$used = {}; // see prune
+        e = e.nextSibling;
       }
       scenes.$g = g;
       g.setAttribute("width", s.width + s.left + s.right);
       g.setAttribute("height", s.height + s.top + s.bottom);
     }
 
+    /* filter (nest children) */
+    var filter = this.filter(scenes, i);
+    if (filter) {
+      var f = this.expect(e, "g", {
+          "filter": filter,
+          "clip-path": null,
+          "transform": null
+        });
+      if (!f.parentNode) g.appendChild(f);
+      scenes.$g = g = f;
+      e = f.firstChild;
+    }
+
     /* clip (nest children) */
     if (s.overflow == "hidden") {
       var id = pv.id().toString(36),
@@ -39,11 +58,13 @@ pv.SvgScene.panel = function(scenes) {
       e = c.firstChild;
 
       e = this.expect(e, "clipPath", {"id": id});
-      var r = e.firstChild || e.appendChild(this.create("rect"));
-      r.setAttribute("x", s.left);
-      r.setAttribute("y", s.top);
-      r.setAttribute("width", s.width);
-      r.setAttribute("height", s.height);
+      var r = this.rect(e.firstChild, s, {
+          "x": s.left,
+          "y": s.top,
+          "width": s.width,
+          "height": s.height
+        });
+      if (!r.parentNode) e.appendChild(r);
       if (!e.parentNode) g.appendChild(e);
       e = e.nextSibling;
     }
@@ -62,7 +83,8 @@ pv.SvgScene.panel = function(scenes) {
     for (var j = 0; j < s.children.length; j++) {
       s.children[j].$g = e = this.expect(e, "g", {
           "transform": "translate(" + x + "," + y + ")"
-              + (t.k != 1 ? " scale(" + t.k + ")" : "")
+              + (t.k != 1 ? " scale(" + t.k + ")" : ""),
+          "filter": null
         });
       this.updateAll(s.children[j]);
       if (!e.parentNode) g.appendChild(e);
@@ -80,6 +102,15 @@ pv.SvgScene.panel = function(scenes) {
       scenes.$g = g = c.parentNode;
       e = c.nextSibling;
     }
+
+    /* filter (restore group) */
+    if (filter) {
+      scenes.$g = g = f.parentNode;
+      e = f.nextSibling;
+    }
+
+    /* defs (prune) */
+    if (!scenes.parent) this.prune(scenes, i);
   }
   return e;
 };
@@ -87,7 +118,7 @@ pv.SvgScene.panel = function(scenes) {
 pv.SvgScene.fill = function(e, scenes, i) {
   var s = scenes[i], fill = s.fillStyle;
   if (fill.opacity || s.events == "all") {
-    e = this.expect(e, "rect", {
+    e = this.rect(e, s, {
         "shape-rendering": s.antialias ? null : "crispEdges",
         "pointer-events": s.events,
         "cursor": s.cursor,
@@ -99,6 +130,7 @@ pv.SvgScene.fill = function(e, scenes, i) {
         "fill-opacity": fill.opacity,
         "stroke": null
       });
+    this.aria(e, scenes.parent ? s : null); // see svg
     e = this.append(e, scenes, i);
   }
   return e;
@@ -107,7 +139,7 @@ pv.SvgScene.fill = function(e, scenes, i) {
 pv.SvgScene.stroke = function(e, scenes, i) {
   var s = scenes[i], stroke = s.strokeStyle;
   if (stroke.opacity || s.events == "all") {
-    e = this.expect(e, "rect", {
+    e = this.rect(e, s, {
         "shape-rendering": s.antialias ? null : "crispEdges",
         "pointer-events": s.events == "all" ? "stroke" : s.events,
         "cursor": s.cursor,
@@ -118,8 +150,11 @@ pv.SvgScene.stroke = function(e, scenes, i) {
         "fill": null,
         "stroke": stroke.color,
         "stroke-opacity": stroke.opacity,
-        "stroke-width": s.lineWidth / this.scale
+        "stroke-width": s.lineWidth / this.scale,
+        "stroke-dasharray": this.dasharray(s),
+        "stroke-dashoffset": this.dashoffset(s)
       });
+    this.aria(e, null); // see fill
     e = this.append(e, scenes, i);
   }
   return e;
@@ -18,7 +18,11 @@ pv.SvgScene.rule = function(scenes) {
         "y2": s.top + s.height,
         "stroke": stroke.color,
         "stroke-opacity": stroke.opacity,
-        "stroke-width": s.lineWidth / this.scale
+        "stroke-width": s.lineWidth / this.scale,
+        "stroke-dasharray": this.dasharray(s),
+        "stroke-dashoffset": this.dashoffset(s),
+        "marker-start": this.marker(scenes, i, "start"),
+        "marker-end": this.marker(scenes, i, "end")
       });
     e = this.append(e, scenes, i);
   }
@@ -22,7 +22,19 @@ pv.SvgScene = {
     "mouseout",
     "mousemove",
     "click",
-    "dblclick"
+    "dblclick",
+    "touchstart",
+    "touchmove",
+    "touchend",
+    "touchcancel",
+    "pointerdown",
+    "pointermove",
+    "pointerup",
+    "pointercancel",
+    "keydown",
+    "keyup",
+    "focusin",
+    "focusout"
   ],
 
   /** Implicit values for SVG and CSS properties. */
@@ -40,7 +52,8 @@ pv.SvgScene = {
       "stroke": "none",
       "stroke-opacity": 1,
       "stroke-width": 1.5,
-      "stroke-linejoin": "miter"
+      "stroke-linejoin": "miter",
+      "stroke-dashoffset": 0
     },
     css: {
       "font": "10px sans-serif"
@@ -55,7 +68,7 @@ pv.SvgScene = {
  * @returns a new SVG element.
  */
 pv.SvgScene.create = function(type) {
-  return document.createElementNS(this.svg, type);
+  return pv.document.createElementNS(this.svg, type);
 };
 
 /**
@@ -98,11 +111,486 @@ pv.SvgScene.expect = function(e, type, attributes, style) {
 /** TODO */
 pv.SvgScene.append = function(e, scenes, index) {
   e.$scene = {scenes:scenes, index:index};
+  this.define(scenes, index);
+  var tabIndex = scenes[index].tabIndex;
+  if (tabIndex != null) e.setAttribute("tabindex", tabIndex);
+  else e.removeAttribute("tabindex");
+  if (scenes.type != "panel") { // see panel
+    this.aria(e, scenes[index]);
+    var filter = this.filter(scenes, index);
+    if (filter) e.setAttribute("filter", filter);
+    else e.removeAttribute("filter");
+  }
   e = this.title(e, scenes[index]);
   if (!e.parentNode) scenes.$g.appendChild(e);
   return e.nextSibling;
 };
 
+/**
+ * Ensures that the root SVG element contains a definition for each paint server
+ * (such as a {@link pv.Color.Gradient}) used by the scene node
+ * <tt>scenes[index]</tt>, so that the paint references of the rendered element
+ * resolve. Definitions are stored in a <tt>defs</tt> element, the first child
+ * of the root SVG element, and are shared by all elements that use the same
+ * definition.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} index the index of the scene node.
+ */
+pv.SvgScene.define = function(scenes, index) {
+  var s = scenes[index], defs;
+  for (var i = 0; i < this.paints.length; i++) {
+    var c = s[this.paints[i]];
+    if (!c || !c.id || !c.opacity) continue;
+    if (!defs) defs = this.defs(scenes, index);
+    if (!this.reference(scenes, index, c.id)) {
+      defs.appendChild(this.paint(c));
+      defs.$ids[c.id] = true;
+    }
+  }
+};
+
+/**
+ * @private Returns the <tt>defs</tt> element of the root SVG element containing
+ * the scene node <tt>scenes[index]</tt>, creating it if necessary.
+ */
+pv.SvgScene.defs = function(scenes, index) {
+  while (scenes.parent) {
+    index = scenes.parentIndex;
+    scenes = scenes.parent;
+  }
+  var svg = scenes[index].canvas.firstChild, defs = svg.firstChild;
+  if (defs && (defs.tagName == "desc")) defs = defs.nextSibling; // see aria
+  if (!defs || (defs.tagName != "defs")) {
+    defs = svg.insertBefore(this.create("defs"), defs);
+    defs.$ids = {};
+    defs.$used = {};
+  }
+  return defs;
+};
+
+/**
+ * @private Records that the definition with the specified <tt>id</tt> is
+ * referenced by the scene node <tt>scenes[index]</tt> during the current
+ * render, and returns true if it is already defined. The references of each
+ * array of scene nodes are remembered, so that they still count if its update
+ * is skipped; see {@link pv.Scene.updateAll}.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} index the index of the scene node.
+ * @param {string} id the id of the definition.
+ * @returns {boolean} true if the definition already exists.
+ */
+pv.SvgScene.reference = function(scenes, index, id) {
+  var defs = this.defs(scenes, index);
+  (scenes.$refs || (scenes.$refs = {}))[id] = true;
+  defs.$used[id] = true;
+  return defs.$ids[id];
+};
+
+/**
+ * @private Removes the definitions of the root SVG element containing the scene
+ * node <tt>scenes[index]</tt> that were not referenced since the root panel
+ * started rendering, such as the gradients of a previous render.
+ *
+ * @param scenes {array} an array of root panel scene nodes.
+ * @param {number} index the index of the scene node.
+ */
+pv.SvgScene.prune = function(scenes, index) {
+  var defs = scenes[index].canvas.firstChild.firstChild;
+  if (defs && (defs.tagName == "desc")) defs = defs.nextSibling; // see aria
+  if (!defs || (defs.tagName != "defs")) return;
+  for (var e = defs.firstChild, next; e; e = next) {
+    var id = e.getAttribute("id");
+    next = e.nextSibling;
+    if (defs.$used[id]) continue;
+    defs.removeChild(e);
+    delete defs.$ids[id];
+  }
+};
+
+/** @private The names of properties that may refer to paint servers. */
+pv.SvgScene.paints = ["fillStyle", "strokeStyle", "textStyle"];
+
+/**
+ * Returns a new SVG definition element for the specified paint server, such as
+ * a <tt>linearGradient</tt> element for a linear gradient.
+ *
+ * @param c {pv.Color} a paint server, such as a {@link pv.Color.Gradient}.
+ * @returns a new SVG element.
+ */
+pv.SvgScene.paint = function(c) {
+  var e;
+  switch (c.type) {
+    case "pattern": return this.pattern(c);
+    case "linear": {
+      e = this.create("linearGradient");
+      e.setAttribute("x1", c.x1);
+      e.setAttribute("y1", c.y1);
+      e.setAttribute("x2", c.x2);
+      e.setAttribute("y2", c.y2);
+      break;
+    }
+    case "radial": {
+      e = this.create("radialGradient");
+      e.setAttribute("cx", c.cx);
+      e.setAttribute("cy", c.cy);
+      e.setAttribute("r", c.r);
+      e.setAttribute("fx", c.fx);
+      e.setAttribute("fy", c.fy);
+      break;
+    }
+  }
+  e.setAttribute("id", c.id);
+  for (var i = 0; i < c.stops.length; i++) {
+    var stop = c.stops[i], color = stop.color,
+        n = e.appendChild(this.create("stop"));
+    n.setAttribute("offset", stop.offset);
+    if (color.opacity) {
+      n.setAttribute("stop-color", color.color);
+      if (color.opacity < 1) n.setAttribute("stop-opacity", color.opacity);
+    } else { // preserve the hue of transparent stops, if known
+      n.setAttribute("stop-color", (color.r == null) ? "black"
+          : "rgb(" + color.r + "," + color.g + "," + color.b + ")");
+      n.setAttribute("stop-opacity", 0);
+    }
+  }
+  return e;
+};
+
+/**
+ * Returns the value of the <tt>filter</tt> attribute for the scene node
+ * <tt>scenes[index]</tt>, or null if the node has no filter, ensuring that the
+ * root SVG element contains the corresponding <tt>filter</tt> definition.
+ *
+ * <p>The filter region is normally relative to the bounding box of the filtered
+ * element. However, the bounding box of a horizontal or vertical rule (or line)
+ * has zero height or width, which would hide the element entirely; so, rules
+ * and lines use a variant of the definition whose region is in user space.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} index the index of the scene node.
+ * @returns {string} a filter reference, such as "url(#filter-1a2b3c)".
+ */
+pv.SvgScene.filter = function(scenes, index) {
+  var f = scenes[index].filter;
+  if (!f || !f.effects.length) return null;
+  var user = (scenes.type == "rule") || (scenes.type == "line"),
+      id = user ? f.id + "-user" : f.id,
+      defs = this.defs(scenes, index);
+  if (!this.reference(scenes, index, id)) {
+    var e = defs.appendChild(this.create("filter"));
+    e.setAttribute("id", id);
+    e.setAttribute("color-interpolation-filters", "sRGB");
+    if (user) {
+      e.setAttribute("filterUnits", "userSpaceOnUse");
+      e.setAttribute("x", "-100%");
+      e.setAttribute("y", "-100%");
+      e.setAttribute("width", "300%");
+      e.setAttribute("height", "300%");
+    } else {
+      e.setAttribute("x", "-50%");
+      e.setAttribute("y", "-50%");
+      e.setAttribute("width", "200%");
+      e.setAttribute("height", "200%");
+    }
+    this.effects(e, f.effects);
+    defs.$ids[id] = true;
+  }
+  return "url(#" + id + ")";
+};
+
+/**
+ * @private Appends the filter primitives for the specified effects to the
+ * <tt>filter</tt> element <i>e</i>. Each effect takes the result of the
+ * previous effect as input, starting with the source graphic.
+ */
+pv.SvgScene.effects = function(e, effects) {
+  var svg = this;
+
+  /* Appends a filter primitive with the specified attributes. */
+  function primitive(type, attributes, parent) {
+    var n = (parent || e).appendChild(svg.create(type));
+    for (var name in attributes) n.setAttribute(name, attributes[name]);
+    return n;
+  }
+
+  for (var i = 0, input = "SourceGraphic"; i < effects.length; i++) {
+    var effect = effects[i], result = "r" + i;
+    switch (effect.type) {
+      case "shadow": {
+        primitive("feGaussianBlur", {
+            "in": input,
+            "stdDeviation": effect.blur,
+            "result": result + "-blur"
+          });
+        primitive("feOffset", {
+            "in": result + "-blur",
+            "dx": effect.dx,
+            "dy": effect.dy,
+            "result": result + "-offset"
+          });
+        primitive("feFlood", {
+            "flood-color": effect.color.color,
+            "flood-opacity": effect.color.opacity,
+            "result": result + "-flood"
+          });
+        primitive("feComposite", {
+            "in": result + "-flood",
+            "in2": result + "-offset",
+            "operator": "in",
+            "result": result + "-shadow"
+          });
+        var merge = primitive("feMerge", {"result": result});
+        primitive("feMergeNode", {"in": result + "-shadow"}, merge);
+        primitive("feMergeNode", {"in": input}, merge);
+        break;
+      }
+      case "blur": {
+        primitive("feGaussianBlur", {
+            "in": input,
+            "stdDeviation": effect.blur,
+            "result": result
+          });
+        break;
+      }
+      case "desaturate": {
+        primitive("feColorMatrix", {
+            "in": input,
+            "type": "saturate",
+            "values": 1 - effect.amount,
+            "result": result
+          });
+        break;
+      }
+    }
+    input = result;
+  }
+};
+
+/**
+ * Returns the value of the marker attribute (such as <tt>marker-end</tt>) for
+ * the specified position of the scene node <tt>scenes[index]</tt>, or null if
+ * the node has no such marker, ensuring that the root SVG element contains the
+ * corresponding <tt>marker</tt> definition. Since SVG markers do not inherit
+ * the stroke of the marked element, a separate definition is needed for each
+ * marker and color.
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} index the index of the scene node.
+ * @param {string} position the marker position: "start", "mid" or "end".
+ * @returns {string} a marker reference, such as "url(#marker-1a2b3c)".
+ * @see pv.Line.markers
+ */
+pv.SvgScene.marker = function(scenes, index, position) {
+  var s = scenes[index], c = s.strokeStyle, name = s[position + "Marker"],
+      d = name && c.opacity && pv.Line.markers[name];
+  if (!d) return null;
+  var id = pv.Color.id("marker", [position == "start", d, c.color,
+      c.opacity].join(",")),
+      defs = this.defs(scenes, index);
+  if (!this.reference(scenes, index, id)) {
+    var e = defs.appendChild(this.create("marker")),
+        p = e.appendChild(this.create("path"));
+    e.setAttribute("id", id);
+    e.setAttribute("orient", "auto");
+    e.setAttribute("overflow", "visible");
+    p.setAttribute("d", d);
+    p.setAttribute("fill", c.color);
+    if (c.opacity < 1) p.setAttribute("fill-opacity", c.opacity);
+    if (position == "start") p.setAttribute("transform", "scale(-1,1)");
+    defs.$ids[id] = true;
+  }
+  return "url(#" + id + ")";
+};
+
+/**
+ * Returns a new SVG <tt>pattern</tt> element for the specified pattern. For a
+ * tile pattern, the tile panel is rendered into the pattern element.
+ *
+ * @param c {pv.Pattern} a pattern.
+ * @returns a new SVG element.
+ */
+pv.SvgScene.pattern = function(c) {
+  var e = this.create("pattern"), w, h;
+  e.setAttribute("id", c.id);
+  e.setAttribute("patternUnits", "userSpaceOnUse");
+  if (c.tile) {
+    var scale = this.scale, s;
+    c.tile.canvas(e).render();
+    e.style.removeProperty("display"); // set by the root panel
+    this.scale = scale;
+    s = c.tile.scene[0];
+    w = s.width + s.left + s.right;
+    h = s.height + s.top + s.bottom;
+  } else {
+    var fill = c.fillStyle(), stroke = c.strokeStyle(), n;
+    w = h = c.spacing();
+    if (fill.opacity) {
+      n = e.appendChild(this.create("rect"));
+      n.setAttribute("width", w);
+      n.setAttribute("height", h);
+      n.setAttribute("fill", fill.color);
+      if (fill.opacity < 1) n.setAttribute("fill-opacity", fill.opacity);
+    }
+    if (stroke.opacity) {
+      n = e.appendChild(this.create("path"));
+      n.setAttribute("d", this.hatch(c));
+      if (c.hatch == "dots") {
+        n.setAttribute("fill", stroke.color);
+        if (stroke.opacity < 1) n.setAttribute("fill-opacity", stroke.opacity);
+      } else {
+        n.setAttribute("stroke", stroke.color);
+        n.setAttribute("stroke-width", c.lineWidth());
+        if (stroke.opacity < 1) {
+          n.setAttribute("stroke-opacity", stroke.opacity);
+        }
+      }
+    }
+  }
+  e.setAttribute("width", w);
+  e.setAttribute("height", h);
+  return e;
+};
+
+/**
+ * Returns the path data for the hatch of the specified pattern, within a tile
+ * whose size is the pattern spacing. Lines extend beyond the tile, so that
+ * they join seamlessly with adjacent tiles; for dots, the path is a circle in
+ * the center of the tile, whose radius is the pattern line width.
+ *
+ * @param c {pv.Pattern} a pattern.
+ * @returns {string} the path data.
+ */
+pv.SvgScene.hatch = function(c) {
+  var s = c.spacing(), h = s / 2, r = c.lineWidth();
+  switch (c.hatch) {
+    case "diagonal":
+    case "cross": {
+      var d = "M0," + s + "L" + s + ",0"
+          + "M" + -h + "," + h + "L" + h + "," + -h
+          + "M" + h + "," + (s + h) + "L" + (s + h) + "," + h;
+      if (c.hatch == "cross") d += "M0,0L" + s + "," + s
+          + "M" + -h + "," + h + "L" + h + "," + (s + h)
+          + "M" + h + "," + -h + "L" + (s + h) + "," + h;
+      return d;
+    }
+    case "horizontal": return "M0," + h + "H" + s;
+    case "vertical": return "M" + h + ",0V" + s;
+    case "dots": return "M" + (h - r) + "," + h
+        + "A" + r + "," + r + " 0 1,1 " + (h + r) + "," + h
+        + "A" + r + "," + r + " 0 1,1 " + (h - r) + "," + h + "Z";
+  }
+  return "";
+};
+
+/**
+ * Returns the SVG <tt>stroke-dasharray</tt> attribute value for the specified
+ * scene node, or null if the stroke is solid. As with the line width, the dash
+ * lengths are divided by the current scale, such that they are in screen
+ * pixels regardless of any enclosing transforms.
+ *
+ * @param s a scene node.
+ * @returns {string} the dash array.
+ */
+pv.SvgScene.dasharray = function(s) {
+  var d = s.strokeDasharray, k = this.scale;
+  return d ? d.split(",").map(function(x) { return x / k; }).join(",") : null;
+};
+
+/**
+ * Returns the SVG <tt>stroke-dashoffset</tt> attribute value for the
+ * specified scene node, or null if there is no dash offset. As with the dash
+ * array, the offset is divided by the current scale.
+ *
+ * @param s a scene node.
+ * @returns {number} the dash offset.
+ */
+pv.SvgScene.dashoffset = function(s) {
+  return (s.strokeDasharray && s.strokeDashoffset)
+      ? s.strokeDashoffset / this.scale
+      : null;
+};
+
+/**
+ * Returns the corner radii of the bar-like scene node <i>s</i>, as an array of
+ * four numbers in the order top-left, top-right, bottom-right and bottom-left,
+ * or null if the corners are square. If the sum of the radii of adjacent
+ * corners exceeds the length of the side between them, all radii are reduced
+ * proportionally so that the corners fit, as with CSS.
+ *
+ * @param s a scene node.
+ * @returns {number[]} the corner radii.
+ * @see pv.Bar#cornerRadius
+ */
+pv.SvgScene.corners = function(s) {
+  var r = s.cornerRadius;
+  if (!r) return null;
+  r = (typeof r == "number") ? [r, r, r, r] : r.split(",").map(Number);
+
+  /* Returns the scale factor to fit radii a and b along a side. */
+  function fit(side, a, b) {
+    return (a + b > side) ? Math.max(0, side) / (a + b) : 1;
+  }
+
+  var k = Math.min(
+      fit(s.width, r[0], r[1]), fit(s.width, r[3], r[2]),
+      fit(s.height, r[0], r[3]), fit(s.height, r[1], r[2]));
+  return (k < 1) ? r.map(function(x) { return x * k; }) : r;
+};
+
+/**
+ * Returns the SVG path data for a rectangle with the specified position, size
+ * and corner radii.
+ *
+ * @param {number} x the left edge.
+ * @param {number} y the top edge.
+ * @param {number} w the width.
+ * @param {number} h the height.
+ * @param {number[]} r the corner radii; see {@link #corners}.
+ * @returns {string} the path data.
+ */
+pv.SvgScene.roundedRect = function(x, y, w, h, r) {
+  function arc(r, x, y) {
+    return r ? "A" + r + "," + r + " 0 0,1 " + x + "," + y : "";
+  }
+  return "M" + (x + r[0]) + "," + y
+      + "H" + (x + w - r[1]) + arc(r[1], x + w, y + r[1])
+      + "V" + (y + h - r[2]) + arc(r[2], x + w - r[2], y + h)
+      + "H" + (x + r[3]) + arc(r[3], x, y + h - r[3])
+      + "V" + (y + r[0]) + arc(r[0], x + r[0], y)
+      + "Z";
+};
+
+/**
+ * Expects the element <i>e</i> to be a rectangle for the bar-like scene node
+ * <i>s</i>, with the specified attributes, including the <tt>x</tt>,
+ * <tt>y</tt>, <tt>width</tt> and <tt>height</tt> of the rectangle. If the
+ * corners are uniformly rounded, a <tt>rect</tt> element is used with the
+ * <tt>rx</tt> and <tt>ry</tt> attributes; if each corner has a different
+ * radius, a <tt>path</tt> element is used instead.
+ *
+ * @param e the current SVG element.
+ * @param s a scene node.
+ * @param attributes the attribute map.
+ * @returns a new SVG element.
+ * @see #expect
+ */
+pv.SvgScene.rect = function(e, s, attributes) {
+  var r = this.corners(s);
+  if (r && ((r[0] != r[1]) || (r[1] != r[2]) || (r[2] != r[3]))) {
+    attributes.d = this.roundedRect(attributes.x, attributes.y,
+        attributes.width, attributes.height, r);
+    delete attributes.x;
+    delete attributes.y;
+    delete attributes.width;
+    delete attributes.height;
+    return this.expect(e, "path", attributes);
+  }
+  attributes.rx = attributes.ry = (r && r[0]) || null;
+  return this.expect(e, "rect", attributes);
+};
+
 /**
  * Applies a title tooltip to the specified element <tt>e</tt>, using the
  * <tt>title</tt> property of the specified scene node <tt>s</tt>. Note that
@@ -130,6 +618,35 @@ pv.SvgScene.title = function(e, s) {
   return e;
 };
 
+/**
+ * Sets the ARIA attributes of the element <i>e</i> from the scene node
+ * <i>s</i>: the <tt>role</tt> and <tt>aria-label</tt> attributes, and a
+ * <tt>desc</tt> element, the first child of <i>e</i>, for the description. If
+ * <i>s</i> is null, the attributes and description are removed.
+ *
+ * @param e the SVG element.
+ * @param s the scene node, or null.
+ * @see pv.Mark#ariaLabel
+ */
+pv.SvgScene.aria = function(e, s) {
+  var role = s && s.ariaRole,
+      label = s && s.ariaLabel,
+      text = s && s.description,
+      d = e.firstChild;
+  if (role) e.setAttribute("role", role);
+  else e.removeAttribute("role");
+  if (label) e.setAttribute("aria-label", label);
+  else e.removeAttribute("aria-label");
+  if (d && (d.tagName != "desc")) d = null;
+  if (text) {
+    if (!d) d = e.insertBefore(this.create("desc"), e.firstChild);
+    if (d.firstChild) d.firstChild.nodeValue = text;
+    else d.appendChild(pv.document.createTextNode(text));
+  } else if (d) {
+    e.removeChild(d);
+  }
+};
+
 /** TODO */
 pv.SvgScene.dispatch = pv.listener(function(e) {
   var t = e.target.$scene;
@@ -147,11 +664,108 @@ pv.SvgScene.dispatch = pv.listener(function(e) {
         e.wheel = (window.opera ? 12 : 1) * e.wheelDelta;
         break;
       }
+      case "focusin": type = "focus"; break; // focus does not bubble
+      case "focusout": type = "blur"; break;
     }
 
-    if (pv.Mark.dispatch(type, t.scenes, t.index)) e.preventDefault();
+    pv.SvgScene.trigger(e, type, t.scenes, t.index);
   }
 });
 
+/**
+ * @private Dispatches the specified event to the specified scene node as an
+ * event of the specified type, cancelling it if handled. Key events are never
+ * cancelled, so as not to interfere with tabbing; instead, pressing Enter also
+ * dispatches a click event, as with buttons.
+ *
+ * @param e the DOM event.
+ * @param {string} type the event type.
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} index the index of the scene node.
+ */
+pv.SvgScene.trigger = function(e, type, scenes, index) {
+  var handled = pv.Mark.dispatch(type, scenes, index);
+  if (handled && !/^key/.test(type)) e.preventDefault();
+  if ((type == "keydown") && ((e.key == "Enter") || (e.keyCode == 13))
+      && pv.Mark.dispatch("click", scenes, index)) e.preventDefault();
+};
+
+/**
+ * @private Moves the keyboard focus to the element of the specified scene
+ * node, if it is rendered and focusable. The descendants of the mark's group
+ * are walked using <tt>firstChild</tt> and <tt>nextSibling</tt>, which are
+ * also supported by the headless document (see {@link pv.Document}).
+ *
+ * @param scenes {array} an array of scene nodes.
+ * @param {number} index the index of the scene node.
+ */
+pv.SvgScene.focus = function(scenes, index) {
+  function find(e) {
+    for (e = e.firstChild; e; e = e.nextSibling) {
+      var t = e.$scene;
+      if (t && (t.scenes == scenes) && (t.index == index)) return e;
+      if ((t = find(e))) return t;
+    }
+    return null;
+  }
+  var e = scenes.$g && find(scenes.$g);
+  if (e && e.focus) e.focus();
+};
+
 /** @private Do nothing when rendering undefined mark types. */
 pv.SvgScene.undefined = function() {};
+
+/**
+ * Returns the SVG markup for the specified array of root panel scene nodes, or
+ * null if no instance is visible. Rather than serializing the displayed
+ * elements, the scene graph is rendered into a new headless document (see
+ * {@link pv.Document}); thus, any renderer may be exported, and the displayed
+ * elements are not affected. The implicit CSS properties are inlined on the
+ * root SVG element, such that the markup does not depend on the stylesheets of
+ * the containing page. If the root panel has multiple instances, only the first
+ * visible instance is returned.
+ *
+ * @param scenes {array} an array of root panel scene nodes.
+ * @returns {string} the SVG markup.
+ */
+pv.SvgScene.serialize = function(scenes) {
+  var document = pv.document,
+      scale = this.scale,
+      canvases = [],
+      groups = [];
+
+  /* Save the elements bound to the scene graph, to restore after rendering. */
+  function save(scenes) {
+    groups.push(scenes, scenes.$g);
+    for (var i = 0; i < scenes.length; i++) {
+      var children = scenes[i].children;
+      if (children) for (var j = 0; j < children.length; j++) save(children[j]);
+    }
+  }
+  save(scenes);
+
+  pv.document = new pv.Document();
+  try {
+    for (var i = 0; i < scenes.length; i++) {
+      canvases.push(scenes[i].canvas);
+      scenes[i].canvas = pv.document.createElement("span");
+    }
+    scenes.$g = null;
+    this.scale = 1;
+    this.panel(pv.Scene.order(scenes));
+    for (var i = 0; i < scenes.length; i++) {
+      var svg = scenes[i].canvas.firstChild;
+      if (!svg) continue;
+      for (var name in this.implicit.css) {
+        svg.style[name] = this.implicit.css[name];
+      }
+      return svg.toString();
+    }
+    return null;
+  } finally {
+    pv.document = document;
+    this.scale = scale;
+    for (var i = 0; i < canvases.length; i++) scenes[i].canvas = canvases[i];
+    for (var i = 0; i < groups.length; i += 2) groups[i].$g = groups[i + 1];
+  }
+};
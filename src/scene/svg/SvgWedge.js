@@ -9,7 +9,8 @@ pv.SvgScene.wedge = function(scenes) {
     if (!fill.opacity && !stroke.opacity) continue;
 
     /* points */
-    var r1 = s.innerRadius, r2 = s.outerRadius, a = Math.abs(s.angle), p;
+    var r1 = s.innerRadius, r2 = s.outerRadius, p,
+        a = Math.abs(s.endAngle - s.startAngle);
     if (a >= 2 * Math.PI) {
       if (r1) {
         p = "M0," + r2
@@ -58,7 +59,9 @@ pv.SvgScene.wedge = function(scenes) {
         "fill-opacity": fill.opacity || null,
         "stroke": stroke.color,
         "stroke-opacity": stroke.opacity || null,
-        "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null
+        "stroke-width": stroke.opacity ? s.lineWidth / this.scale : null,
+        "stroke-dasharray": stroke.opacity ? this.dasharray(s) : null,
+        "stroke-dashoffset": stroke.opacity ? this.dashoffset(s) : null
       });
     e = this.append(e, scenes, i);
   }
@@ -38,11 +38,12 @@ pv.VmlScene.area = function(scenes) {
     vml.root.parentNode.removeChild(vml.root);
   vml.root.points = p;
 
-  vml.fill.color = fill.color;
+  vml.fill.color = this.color(fill);
   vml.fill.opacity = fill.opacity;
-  vml.stroke.color = stroke.color;
+  vml.stroke.color = this.color(stroke);
   vml.stroke.opacity = stroke.opacity * Math.min(s.lineWidth, 1);
   vml.stroke.weight = s.lineWidth + "px";
+  vml.stroke.dashstyle = this.dashstyle(s);
 
   return this.append(e, scenes, 0);
 };
@@ -8,8 +8,9 @@ pv.VmlScene.bar = function(scenes) {
     var fill = s.fillStyle, stroke = s.strokeStyle;
     if (!fill.opacity && !stroke.opacity) continue;
 
-    e = this.expect("v:rect", e);
+    e = this.expect(this.rect(s), e);
     var vml = {root: e};
+    if (s.cornerRadius) vml.root.arcsize = this.arcsize(s);
     vml.fill = this.expect("v:fill", vml.root.firstChild, vml.root);
     vml.stroke = this.expect("v:stroke", vml.fill.nextSibling, vml.root);
 
@@ -21,12 +22,13 @@ pv.VmlScene.bar = function(scenes) {
     vml.root.style.antialias = s.antialias;
     vml.root.title = s.title || "";
 
-    vml.fill.color = fill.color;
+    vml.fill.color = this.color(fill);
     vml.fill.opacity = fill.opacity;
 
-    vml.stroke.color = stroke.color;
+    vml.stroke.color = this.color(stroke);
     vml.stroke.opacity = stroke.opacity * Math.min(s.lineWidth, 1);
     vml.stroke.weight = s.lineWidth + "px";
+    vml.stroke.dashstyle = this.dashstyle(s);
 
     e = this.append(e, scenes, i);
   }
@@ -10,8 +10,9 @@ pv.VmlScene.dot = function(scenes) {
 
     /* points */
     var radius = Math.round(s.radius);
-    var d;
-    switch (s.shape) {
+    var d = pv.Dot.symbol(s);
+    if (d != null) d = this.path(pv.Dot.parse(d));
+    else switch (s.shape) {
       case "cross": {
         d = "m" + -radius + "," + -radius
           + "l" + radius + "," + radius
@@ -97,14 +98,73 @@ pv.VmlScene.dot = function(scenes) {
     /* path */
     vml.path.v = d;
 
-    vml.fill.color = fill.color;
+    vml.fill.color = this.color(fill);
     vml.fill.opacity = fill.opacity;
 
-    vml.stroke.color = stroke.color;
+    vml.stroke.color = this.color(stroke);
     vml.stroke.opacity = stroke.opacity * Math.min(s.lineWidth, 1);
     vml.stroke.weight = s.lineWidth + "px";
+    vml.stroke.dashstyle = this.dashstyle(s);
 
     e = this.append(e, scenes, i);
   }
   return e;
 };
+
+/**
+ * @private Returns VML path data for the specified segments, as returned by
+ * {@link pv.Dot.parse}. Quadratic curves are converted to cubic curves, and
+ * arcs to VML arcs; the rotation of elliptical arcs is ignored.
+ *
+ * @param {object[]} segments the path segments.
+ * @returns {string} the VML path data.
+ */
+pv.VmlScene.path = function(segments) {
+  var d = [], x = 0, y = 0, x0 = 0, y0 = 0;
+  for (var i = 0; i < segments.length; i++) {
+    var s = segments[i], p = s.points, n = p.length;
+    switch (s.type) {
+      case "M": d.push("m", p); x0 = p[0]; y0 = p[1]; break;
+      case "L": d.push("l", p); break;
+      case "C": d.push("c", p); break;
+      case "Q": {
+        d.push("c", [
+          x + 2 / 3 * (p[0] - x), y + 2 / 3 * (p[1] - y),
+          p[2] + 2 / 3 * (p[0] - p[2]), p[3] + 2 / 3 * (p[1] - p[3]),
+          p[2], p[3]]);
+        break;
+      }
+      case "A": {
+        var rx = Math.abs(p[0]), ry = Math.abs(p[1]),
+            hx = (x - p[5]) / 2, hy = (y - p[6]) / 2;
+        if (!rx || !ry) {
+          d.push("l", [p[5], p[6]]);
+          break;
+        }
+
+        /* Scale up the radii if necessary, and compute the center. */
+        var l = hx * hx / (rx * rx) + hy * hy / (ry * ry);
+        if (l > 1) {
+          rx *= Math.sqrt(l);
+          ry *= Math.sqrt(l);
+        }
+        var a = rx * rx * hy * hy + ry * ry * hx * hx,
+            k = (p[3] == p[4] ? -1 : 1)
+              * Math.sqrt(Math.max(0, rx * rx * ry * ry / a - 1)),
+            cx = k * rx * hy / ry + (x + p[5]) / 2,
+            cy = -k * ry * hx / rx + (y + p[6]) / 2;
+        d.push(p[4] ? "wa" : "at", [
+          cx - rx, cy - ry, cx + rx, cy + ry,
+          x, y, p[5], p[6]]);
+        break;
+      }
+      case "Z": d.push("x", []); x = x0; y = y0; continue;
+    }
+    if (n) {
+      x = p[n - 2];
+      y = p[n - 1];
+    }
+  }
+  for (var i = 1; i < d.length; i += 2) d[i] = d[i].map(Math.round).join(",");
+  return d.join("");
+};
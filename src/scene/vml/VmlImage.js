@@ -22,12 +22,13 @@ pv.VmlScene.image = function(scenes) {
     vml.root.title = s.title || "";
 
     var fill = s.fillStyle;
-    vml.fill.color = fill.color;
+    vml.fill.color = this.color(fill);
     vml.fill.opacity = fill.opacity;
     var stroke = s.strokeStyle;
-    vml.stroke.color = stroke.color;
+    vml.stroke.color = this.color(stroke);
     vml.stroke.opacity = stroke.opacity * Math.min(s.lineWidth, 1);
     vml.stroke.weight = s.lineWidth + "px";
+    vml.stroke.dashstyle = this.dashstyle(s);
 
     e = this.append(e, scenes, i);
   }
@@ -1,5 +1,12 @@
 /* TODO font-size detection for baseline adjustment */
 
+/**
+ * Renders the specified label scene nodes. Each label is drawn as text along a
+ * single VML path, which cannot break lines; so, multiple lines of text (see
+ * {@link pv.Label.lines}) are joined with spaces onto one line.
+ *
+ * @param scenes {array} an array of label scene nodes.
+ */
 pv.VmlScene.label = function(scenes) {
   var e = scenes.$g.firstChild;
   for (var i = 0; i < scenes.length; i++) {
@@ -40,7 +47,7 @@ pv.VmlScene.label = function(scenes) {
     vml.root.style.left = s.left + dx;
     vml.root.style.top = s.top + dy;
 
-    vml.fill.color = fill.color;
+    vml.fill.color = this.color(fill);
     vml.fill.opacity = fill.opacity;
 
     var x = Math.round(Math.cos(s.textAngle) * 1000),
@@ -69,7 +76,7 @@ pv.VmlScene.label = function(scenes) {
     vml.text.style.antialias = s.antialias;
     vml.text.style["alignment-baseline"] = "alphabetic";
     vml.text.style["v-text-align"] = s.textAlign;
-    vml.text.string = s.text;
+    vml.text.string = pv.Label.lines(s).join(" ");
     e = this.append(e, scenes, i);
   }
   return e;
@@ -20,6 +20,7 @@ pv.VmlScene.line = function(scenes) {
     if (!p) p = "m" + x + "," + y + "l";
     else p += x + "," + y + " ";
   }
+  if (/-closed$/.test(s.interpolate)) p += "x";
 
   e = this.expect("v:shape", e);
   var vml = {root: e};
@@ -35,10 +36,13 @@ pv.VmlScene.line = function(scenes) {
   vml.root.title = s.title || "";
   vml.path.v = p;
 
-  vml.fill.color = fill.color;
+  vml.fill.color = this.color(fill);
   vml.fill.opacity = fill.opacity;
-  vml.stroke.color = stroke.color;
+  vml.stroke.color = this.color(stroke);
   vml.stroke.opacity = stroke.opacity * Math.min(s.lineWidth, 1);
   vml.stroke.weight = s.lineWidth + "px";
+  vml.stroke.dashstyle = this.dashstyle(s);
+  vml.stroke.startarrow = this.arrow(s.startMarker);
+  vml.stroke.endarrow = this.arrow(s.endMarker);
   return this.append(e, scenes, 0);
 };
@@ -84,7 +84,8 @@ pv.VmlScene.panel = function(scenes) {
 pv.VmlScene.fill = function(e, scenes, i) {
   var s = scenes[i], fill = s.fillStyle;
   if (fill.opacity) {
-    e = this.expect("v:rect", e);
+    e = this.expect(this.rect(s), e);
+    if (s.cornerRadius) e.arcsize = this.arcsize(s);
     e.style.position = "absolute";
     e.style.left = s.left;
     e.style.top = s.top;
@@ -94,7 +95,7 @@ pv.VmlScene.fill = function(e, scenes, i) {
     e.style.antialias = s.antialias;
     e.stroked = false;
     var c = this.expect("v:fill", e.firstChild, e);
-    c.color = fill.color;
+    c.color = this.color(fill);
     c.opacity = fill.opacity;
     e = this.append(e, scenes, i);
   }
@@ -104,7 +105,8 @@ pv.VmlScene.fill = function(e, scenes, i) {
 pv.VmlScene.stroke = function(e, scenes, i) {
   var s = scenes[i], stroke = s.strokeStyle;
   if (stroke.opacity) {
-    e = this.expect("v:rect", e);
+    e = this.expect(this.rect(s), e);
+    if (s.cornerRadius) e.arcsize = this.arcsize(s);
     e.style.position = "absolute";
     e.style.left = s.left;
     e.style.top = s.top;
@@ -114,9 +116,10 @@ pv.VmlScene.stroke = function(e, scenes, i) {
     e.style.antialias = s.antialias;
     e.filled = false;
     var c = this.expect("v:stroke", e.firstChild, e);
-    c.color = stroke.color;
+    c.color = this.color(stroke);
     c.opacity = stroke.opacity * Math.min(s.lineWidth, 1);
     c.weight = s.lineWidth + "px";
+    c.dashstyle = this.dashstyle(s);
     e = this.append(e, scenes, i);
   }
   return e;
@@ -20,9 +20,12 @@ pv.VmlScene.rule = function(scenes) {
     vml.root.to = (s.left + s.width - (s.width == 0 ? 0 : 1)) + "," + (s.top + s.height - (s.height == 0 ? 0 : 1));
 
     var color = pv.color(s.strokeStyle);
-    vml.stroke.color = color.color;
+    vml.stroke.color = this.color(color);
     vml.stroke.opacity = color.opacity * Math.min(s.lineWidth, 1);
     vml.stroke.weight = s.lineWidth + "px";
+    vml.stroke.dashstyle = this.dashstyle(s);
+    vml.stroke.startarrow = this.arrow(s.startMarker);
+    vml.stroke.endarrow = this.arrow(s.endMarker);
 
     e = this.append(e, scenes, i);
   }
@@ -42,6 +42,80 @@ pv.VmlScene.expect = function(type, e, parent) {
   return n;
 };
 
+/**
+ * Returns the VML color string for the specified color. VML does not support
+ * paint servers such as {@link pv.Color.Gradient}; instead, gradients fall back
+ * to the color of the first stop, and patterns to the background color (or
+ * the hatch color, if the background is transparent).
+ *
+ * @param {pv.Color} c the color.
+ * @returns {string} the color string.
+ */
+pv.VmlScene.color = function(c) {
+  if (c.type == "pattern") {
+    if (c.tile) return "none";
+    return this.color(c.fillStyle().opacity ? c.fillStyle() : c.strokeStyle());
+  }
+  return c.stops ? (c.stops.length ? c.stops[0].color.color : "none") : c.color;
+};
+
+/**
+ * Returns the VML <tt>dashstyle</tt> for the specified scene node. VML dash
+ * lengths are multiples of the line width, rather than pixels; dash offsets are
+ * not supported. If the line width is zero, the dash lengths are undefined, and
+ * so the dash style is solid; in any case, the stroke is not visible.
+ *
+ * @param s a scene node.
+ * @returns {string} the dash style.
+ */
+pv.VmlScene.dashstyle = function(s) {
+  var d = s.strokeDasharray, w = s.lineWidth;
+  if (!d || !w) return "solid";
+  return d.split(",").map(function(x) { return x / w; }).join(" ");
+};
+
+/**
+ * Returns the VML arrowhead style (for the <tt>startarrow</tt> or
+ * <tt>endarrow</tt> attribute of the stroke) for the specified line marker.
+ * Only the arrow and circle markers are supported.
+ *
+ * @param {string} marker the marker name, such as "arrow".
+ * @returns {string} the arrowhead style.
+ * @see pv.Line.markers
+ */
+pv.VmlScene.arrow = function(marker) {
+  switch (marker) {
+    case "arrow": return "block";
+    case "circle": return "oval";
+  }
+  return "none";
+};
+
+/**
+ * Returns the VML element type for the rectangle of the bar-like scene node
+ * <i>s</i>: "v:roundrect" if the corners are rounded, and "v:rect" otherwise.
+ *
+ * @param s a scene node.
+ * @returns {string} the element type.
+ */
+pv.VmlScene.rect = function(s) {
+  return s.cornerRadius ? "v:roundrect" : "v:rect";
+};
+
+/**
+ * Returns the VML <tt>arcsize</tt> for the rounded rectangle of the specified
+ * scene node. VML does not support per-corner radii; the average radius is
+ * used instead, and expressed as a fraction of half the shorter side.
+ *
+ * @param s a scene node.
+ * @returns {number} the arc size, in [0, 1].
+ */
+pv.VmlScene.arcsize = function(s) {
+  var r = s.cornerRadius, d = Math.min(s.width, s.height) / 2;
+  if (typeof r != "number") r = pv.mean(r.split(",").map(Number));
+  return (d > 0) ? Math.min(1, r / d) : 0;
+};
+
 /** TODO */
 pv.VmlScene.append = function(e, scenes, index) {
   e.$scene = {scenes:scenes, index:index};
@@ -9,8 +9,9 @@ pv.VmlScene.wedge = function(scenes) {
     if (!fill.opacity && !stroke.opacity) continue;
 
     /* points */
-    var r1 = Math.round(s.innerRadius), r2 = Math.round(s.outerRadius), d;
-    if (s.angle >= 2 * Math.PI) {
+    var r1 = Math.round(s.innerRadius), r2 = Math.round(s.outerRadius), d,
+        a = s.endAngle - s.startAngle;
+    if (a >= 2 * Math.PI) {
       if (r1) {
         d = "AE0,0 " + r2 + "," + r2 + " 0 23592960"
           + "AL0,0 " + r1 + "," + r1 + " 0 23592960";
@@ -18,8 +19,8 @@ pv.VmlScene.wedge = function(scenes) {
         d = "AE0,0 " + r2 + "," + r2 + " 0 23592960";
       }
     } else {
-      var sa = Math.round(s.startAngle / Math.PI * 11796480),
-        a = Math.round(s.angle / Math.PI * 11796480);
+      var sa = Math.round(s.startAngle / Math.PI * 11796480);
+      a = Math.round(a / Math.PI * 11796480);
       if (r1) {
         d = "AE 0,0 " + r2 + "," + r2 + " " + -sa + " " + -a
           + " 0,0 " + r1 + "," + r1 + " " + -(sa + a) + " " + a
@@ -47,11 +48,12 @@ pv.VmlScene.wedge = function(scenes) {
     vml.root.style.antialias = s.antialias;
     vml.root.title = s.title || "";
 
-    vml.fill.color = fill.color;
+    vml.fill.color = this.color(fill);
     vml.fill.opacity = fill.opacity;
-    vml.stroke.color = stroke.color;
+    vml.stroke.color = this.color(stroke);
     vml.stroke.opacity = stroke.opacity * Math.min(s.lineWidth, 1);
     vml.stroke.weight = s.lineWidth + "px";
+    vml.stroke.dashstyle = this.dashstyle(s);
 
     vml.path.v = d;
 
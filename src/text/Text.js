@@ -0,0 +1,139 @@
+/**
+ * @namespace Text metrics. Measuring text allows labels to be placed so as to
+ * avoid overlapping, and other marks to be sized to fit their labels; see
+ * {@link pv.Label#textPlacement}.
+ */
+pv.Text = {};
+
+/**
+ * Returns the size of the specified text when rendered in the specified font,
+ * as an object with <tt>width</tt> and <tt>height</tt> attributes, in pixels.
+ * The width is the advance width of the text, while the height is the font
+ * size (the height of the em box), regardless of which glyphs are used. For
+ * example:
+ *
+ * <pre>pv.Text.measure("Hello", "bold 12px sans-serif").width</pre>
+ *
+ * <p>The text is measured using a canvas element, if supported by the browser;
+ * otherwise, using a hidden element added to the document. If neither is
+ * available, as in a headless document (see {@link pv.Document}), the width
+ * is estimated from the font size and the number of characters.
+ *
+ * @param {string} text the text to measure.
+ * @param {string} [font] the CSS font; defaults to "10px sans-serif".
+ * @returns {object} the text size.
+ */
+pv.Text.measure = function(text, font) {
+  text = String(text);
+  if (font == null) font = "10px sans-serif";
+  var size = pv.Text.fontSize(font), width;
+
+  /* canvas, cached per document, as pv.document may change */
+  var g = pv.Text.context;
+  if (pv.Text.document != pv.document) {
+    var c = pv.document.createElement("canvas");
+    pv.Text.document = pv.document;
+    g = pv.Text.context = (c.getContext && c.getContext("2d")) || null;
+  }
+  if (g) {
+    g.font = font;
+    width = g.measureText(text).width;
+  }
+
+  /* DOM */
+  else if (pv.document.body && pv.document.body.appendChild) {
+    var e = pv.document.createElement("span");
+    e.style.position = "absolute";
+    e.style.visibility = "hidden";
+    e.style.whiteSpace = "nowrap";
+    e.style.font = font;
+    e.appendChild(pv.document.createTextNode(text));
+    pv.document.body.appendChild(e);
+    width = e.offsetWidth;
+    pv.document.body.removeChild(e);
+  }
+
+  /* estimate; the average advance width of a sans-serif character */
+  if (!width && text.length) width = .6 * size * text.length;
+
+  return {width: width || 0, height: size};
+};
+
+/**
+ * @private Returns the font size of the specified CSS font, in pixels. Sizes
+ * may be in pixels, points, ems or percentages, with the latter two relative to
+ * a 16-pixel default; for other units, 10 pixels is assumed.
+ *
+ * @param {string} font the CSS font.
+ * @returns {number} the font size, in pixels.
+ */
+pv.Text.fontSize = function(font) {
+  var m = /(\d*\.?\d+)(px|pt|em|%)/.exec(font);
+  if (!m) return 10;
+  var v = Number(m[1]);
+  switch (m[2]) {
+    case "pt": return v * 4 / 3;
+    case "em": return v * 16;
+    case "%": return v * 16 / 100;
+  }
+  return v;
+};
+
+/**
+ * Breaks the specified text into lines, returning an array of strings. The
+ * text is first broken at any embedded newlines; then, if a maximum
+ * <i>width</i> is specified, each line is wrapped on word boundaries such that
+ * it fits within the given width when rendered in the specified font. A single
+ * word wider than the maximum width is not broken, and so may still overflow.
+ *
+ * <p>If a maximum number of <i>lines</i> is specified and the text would
+ * exceed it, the extra lines are discarded, and the last line is truncated and
+ * terminated with an ellipsis ("&hellip;") so as to fit within the maximum
+ * width. For example:
+ *
+ * <pre>pv.Text.wrap("The quick brown fox", "10px sans-serif", 50, 2)</pre>
+ *
+ * @param {string} text the text to break.
+ * @param {string} [font] the CSS font; defaults to "10px sans-serif".
+ * @param {number} [width] the maximum line width, in pixels.
+ * @param {number} [lines] the maximum number of lines.
+ * @returns {string[]} the lines of text.
+ */
+pv.Text.wrap = function(text, font, width, lines) {
+  var paragraphs = String(text).split("\n"), wrapped = [];
+
+  function fits(t) {
+    return !width || (pv.Text.measure(t, font).width <= width);
+  }
+
+  /* Break each paragraph greedily on spaces. */
+  for (var i = 0; i < paragraphs.length; i++) {
+    var p = paragraphs[i];
+    if (!width) {
+      wrapped.push(p);
+      continue;
+    }
+    var words = p.split(/ +/), line = words[0];
+    for (var j = 1; j < words.length; j++) {
+      var t = line + " " + words[j];
+      if (fits(t)) line = t;
+      else {
+        wrapped.push(line);
+        line = words[j];
+      }
+    }
+    wrapped.push(line);
+  }
+
+  /* Truncate the last line with an ellipsis. */
+  if (lines && (wrapped.length > lines)) {
+    var last = wrapped[lines - 1], ellipsis = "\u2026";
+    wrapped.length = lines;
+    while (last && !fits(last + ellipsis)) {
+      last = last.substring(0, last.length - 1);
+    }
+    wrapped[lines - 1] = last.replace(/ +$/, "") + ellipsis;
+  }
+
+  return wrapped;
+};